@@ -1,10 +1,25 @@
+import { lazy, Suspense } from 'react'
 import { ThemeProvider } from './context/ThemeContext'
-import Layout from './layouts/Layout'
+import { useAuth } from './hooks/useAuth'
+import { AUTH_STATUS } from './services/AuthService'
+import LoginScreen from './components/LoginScreen'
+
+// Loaded once someone is signed in: the socket and cache services it pulls in
+// scope their storage to that user when they start
+const Layout = lazy(() => import('./layouts/Layout'))
 
 function App() {
+  const { status } = useAuth()
+
   return (
     <ThemeProvider>
-      <Layout />
+      {status === AUTH_STATUS.ANONYMOUS ? (
+        <LoginScreen />
+      ) : (
+        <Suspense fallback={null}>
+          <Layout />
+        </Suspense>
+      )}
     </ThemeProvider>
   )
 }
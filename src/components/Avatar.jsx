@@ -0,0 +1,33 @@
+import React, { useState } from 'react';
+
+/**
+ * Avatar Component
+ * Round profile picture, falling back to initials when there is no image
+ * (or it fails to load).
+ *
+ * @param {string} src - Image URL
+ * @param {string} name - Used for the initials and alt text
+ * @param {string} className - Display, size, border and text classes
+ */
+const Avatar = ({ src, name = '', className = '' }) => {
+    const [failed, setFailed] = useState(false);
+
+    const initials = name
+        .split(/[\s@._-]+/)
+        .filter(Boolean)
+        .slice(0, 2)
+        .map(part => part[0].toUpperCase())
+        .join('') || '?';
+
+    return (
+        <div className={`rounded-full overflow-hidden items-center justify-center shrink-0 ${className}`} title={name}>
+            {src && !failed ? (
+                <img src={src} alt={name} className="w-full h-full object-cover" onError={() => setFailed(true)} />
+            ) : (
+                initials
+            )}
+        </div>
+    );
+};
+
+export default Avatar;
@@ -18,9 +18,16 @@ const ChatTabs = ({ tabs, activeTabId, onTabClick, onTabClose, onNewTab }) => {
                                     : 'bg-transparent text-[var(--text-secondary)] hover:bg-[var(--bg-tertiary)] hover:text-[var(--text-primary)]'}
                             `}
                             onClick={() => onTabClick(tab.id)}
-                            title={tab.title || "New Chat"}
+                            title={tab.unreadCount > 0 ? `${tab.title || "New Chat"} (${tab.unreadCount} unread)` : (tab.title || "New Chat")}
                         >
-                            <span className="truncate text-sm flex-1 max-w-[140px]">{tab.title || "New Chat"}</span>
+                            <span className={`truncate text-sm flex-1 max-w-[140px] ${tab.unreadCount > 0 ? 'font-semibold text-[var(--text-primary)]' : ''}`}>{tab.title || "New Chat"}</span>
+
+                            {/* Unread answers */}
+                            {tab.unreadCount > 0 && (
+                                <span className="shrink-0 min-w-[18px] h-[18px] px-1 rounded-full bg-[var(--brand-primary)] text-white text-[10px] font-bold flex items-center justify-center">
+                                    {tab.unreadCount > 9 ? '9+' : tab.unreadCount}
+                                </span>
+                            )}
 
                             {/* Close Button - Visible on Hover or Active (if not only tab) */}
                             <button
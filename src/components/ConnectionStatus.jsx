@@ -0,0 +1,83 @@
+import React, { useState, useEffect } from 'react';
+import { FaRotateRight } from "react-icons/fa6";
+import { useConnectionStatus } from '../hooks/useConnectionStatus';
+import { CONNECTION_STATUS } from '../services/SharedWebSocketService';
+
+/**
+ * ConnectionStatus Component
+ * Status chip for the shared chat socket: Connected / Reconnecting in Ns / Offline,
+ * with a "Retry now" action while the socket is down.
+ *
+ * @param {boolean} compact - Render only the status dot (mobile header).
+ */
+const ConnectionStatus = ({ compact = false }) => {
+    const { status, nextRetryAt, attempt, latencyMs, retryNow } = useConnectionStatus();
+    const [now, setNow] = useState(() => Date.now());
+
+    // Tick once per second while a retry countdown is shown
+    useEffect(() => {
+        if (status !== CONNECTION_STATUS.RECONNECTING) return;
+        const tick = () => setNow(Date.now());
+        const initial = setTimeout(tick, 0);
+        const interval = setInterval(tick, 1000);
+        return () => {
+            clearTimeout(initial);
+            clearInterval(interval);
+        };
+    }, [status, nextRetryAt]);
+
+    if (status === CONNECTION_STATUS.IDLE) return null;
+
+    const secondsLeft = nextRetryAt ? Math.max(0, Math.ceil((nextRetryAt - now) / 1000)) : 0;
+    const canRetry = status === CONNECTION_STATUS.RECONNECTING || status === CONNECTION_STATUS.OFFLINE;
+
+    const variants = {
+        [CONNECTION_STATUS.OPEN]: { label: 'Connected', dot: 'bg-green-500' },
+        [CONNECTION_STATUS.CONNECTING]: { label: 'Connecting...', dot: 'bg-amber-400 animate-pulse' },
+        [CONNECTION_STATUS.RECONNECTING]: { label: `Reconnecting in ${secondsLeft}s`, dot: 'bg-amber-400 animate-pulse' },
+        [CONNECTION_STATUS.OFFLINE]: { label: 'Offline', dot: 'bg-red-500' },
+        [CONNECTION_STATUS.UNAUTHORIZED]: { label: 'Signed out', dot: 'bg-red-500' }
+    };
+    const { label, dot } = variants[status] || variants[CONNECTION_STATUS.OFFLINE];
+    let title = label;
+    if (status === CONNECTION_STATUS.OPEN && latencyMs !== null) {
+        title = `${label} - ${latencyMs} ms round trip`;
+    } else if (attempt > 0) {
+        title = `${label} (attempt ${attempt})`;
+    }
+
+    if (compact) {
+        return (
+            <button
+                type="button"
+                className="flex items-center justify-center w-8 h-8 rounded-lg hover:bg-[var(--bg-tertiary)] transition-all"
+                onClick={canRetry ? retryNow : undefined}
+                title={canRetry ? `${title} - tap to retry now` : title}
+            >
+                <span className={`w-2.5 h-2.5 rounded-full ${dot}`} />
+            </button>
+        );
+    }
+
+    return (
+        <div
+            className="flex items-center gap-2 px-2.5 py-1 rounded-full border border-[var(--border-color)] bg-[var(--bg-secondary)] text-xs font-medium text-[var(--text-secondary)]"
+            title={title}
+        >
+            <span className={`w-2 h-2 rounded-full shrink-0 ${dot}`} />
+            <span className="whitespace-nowrap">{label}</span>
+            {canRetry && (
+                <button
+                    type="button"
+                    className="flex items-center gap-1 pl-2 ml-0.5 border-l border-[var(--border-color)] text-[var(--brand-primary)] hover:underline"
+                    onClick={retryNow}
+                >
+                    <FaRotateRight className="text-[10px]" />
+                    Retry now
+                </button>
+            )}
+        </div>
+    );
+};
+
+export default ConnectionStatus;
@@ -0,0 +1,60 @@
+import React from 'react';
+import { FaTriangleExclamation, FaRotateRight, FaXmark } from "react-icons/fa6";
+
+/**
+ * ErrorBubble Component
+ * Renders a failed answer (role 'error' message) distinctly from assistant prose,
+ * with optional actions to ask the same question again or give up on it.
+ *
+ * @param {string} content - Error message shown to the user
+ * @param {string} code - Machine-readable error code from the server (shown small)
+ * @param {Function} onRetry - Resends the original user turn; omit to hide the action
+ * @param {Function} onCancel - Gives up on the question (e.g. after a timeout); omit to hide the action
+ */
+const ErrorBubble = ({ content, code, onRetry, onCancel }) => {
+    return (
+        <div
+            role="alert"
+            className="w-full md:max-w-[85%] px-3 py-2.5 md:p-4 rounded-2xl rounded-tl-sm border border-red-500/30 bg-red-500/10 text-[13px] sm:text-sm md:text-base leading-relaxed"
+        >
+            <div className="flex items-start gap-2.5">
+                <FaTriangleExclamation className="text-red-500 shrink-0 mt-1" />
+                <div className="flex-1 min-w-0">
+                    <p className="text-[var(--text-primary)]">{content}</p>
+                    {code && (
+                        <p className="mt-0.5 text-[10px] font-mono uppercase tracking-wide text-[var(--text-secondary)]">
+                            {code}
+                        </p>
+                    )}
+                </div>
+            </div>
+
+            {(onRetry || onCancel) && (
+                <div className="mt-2 ml-6 flex items-center gap-4">
+                    {onRetry && (
+                        <button
+                            type="button"
+                            onClick={onRetry}
+                            className="flex items-center gap-1.5 text-xs font-semibold text-[var(--brand-primary)] hover:underline"
+                        >
+                            <FaRotateRight className="text-[10px]" />
+                            Retry this question
+                        </button>
+                    )}
+                    {onCancel && (
+                        <button
+                            type="button"
+                            onClick={onCancel}
+                            className="flex items-center gap-1.5 text-xs font-semibold text-[var(--text-secondary)] hover:underline"
+                        >
+                            <FaXmark className="text-[10px]" />
+                            Cancel
+                        </button>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ErrorBubble;
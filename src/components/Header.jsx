@@ -1,8 +1,9 @@
 import React, { useState, useRef, useEffect } from 'react';
 import { FaShip, FaHouse, FaBars, FaEllipsisVertical, FaGlobe } from "react-icons/fa6";
 import { MdLibraryAdd } from "react-icons/md";
+import ConnectionStatus from './ConnectionStatus';
 
-const Header = ({ toggleMobileSidebar, selectedLang, onToggleLang, onOpenThreadSwitcher, onNewChat }) => {
+const Header = ({ toggleMobileSidebar, selectedLang, onToggleLang, onOpenThreadSwitcher, unreadCount = 0, onNewChat }) => {
     const [menuOpen, setMenuOpen] = useState(false);
     const menuRef = useRef(null);
 
@@ -57,15 +58,23 @@ const Header = ({ toggleMobileSidebar, selectedLang, onToggleLang, onOpenThreadS
 
                 {/* Mobile/Tablet Controls - Strictly controlled by index.css */}
                 <div className="mobile-ui-visible flex items-center gap-1">
+                    {/* Connection Status Dot */}
+                    <ConnectionStatus compact />
+
                     {/* Thread Switcher Button (MdLibraryAdd) */}
                     {onOpenThreadSwitcher && (
                         <button
                             type="button"
-                            className="flex items-center justify-center w-8 h-8 rounded-lg text-[var(--text-secondary)] hover:bg-[var(--bg-tertiary)] hover:text-[var(--brand-primary)] transition-all"
+                            className="relative flex items-center justify-center w-8 h-8 rounded-lg text-[var(--text-secondary)] hover:bg-[var(--bg-tertiary)] hover:text-[var(--brand-primary)] transition-all"
                             onClick={onOpenThreadSwitcher}
-                            title="Switch Chats"
+                            title={unreadCount > 0 ? `Switch Chats (${unreadCount} unread)` : "Switch Chats"}
                         >
                             <MdLibraryAdd className="text-xl rotate-180" />
+                            {unreadCount > 0 && (
+                                <span className="absolute -top-0.5 -right-0.5 min-w-[16px] h-4 px-1 rounded-full bg-red-500 text-white text-[9px] font-bold flex items-center justify-center">
+                                    {unreadCount > 9 ? '9+' : unreadCount}
+                                </span>
+                            )}
                         </button>
                     )}
 
@@ -96,6 +105,9 @@ const Header = ({ toggleMobileSidebar, selectedLang, onToggleLang, onOpenThreadS
 
                 {/* === DESKTOP: Full Controls - Strictly controlled by index.css (Requires Width >= 768px AND Height >= 600px) === */}
                 <div className="hidden desktop-ui-visible items-center gap-2.5">
+                    {/* Connection Status */}
+                    <ConnectionStatus />
+
                     {/* Language Picker */}
                     <div className="relative p-[1px] rounded-full bg-gradient-to-r from-[var(--brand-primary)]/30 to-[var(--brand-highlight)]/30 hover:from-[var(--brand-primary)] hover:to-[var(--brand-highlight)] transition-all duration-300 group">
                         <button
@@ -1,8 +1,8 @@
 import React, { useRef, useMemo, useEffect } from 'react';
 import useSpeechToText from '../hooks/useSpeechToText';
-import { FaPaperclip, FaMicrophone, FaStop, FaPaperPlane, FaXmark } from "react-icons/fa6";
+import { FaPaperclip, FaMicrophone, FaStop, FaPaperPlane, FaXmark, FaSquare } from "react-icons/fa6";
 
-const InputArea = ({ inputValue, setInputValue, onSend, mode, selectedFile, setSelectedFile }) => {
+const InputArea = ({ inputValue, setInputValue, onSend, onStop, isGenerating = false, mode, selectedFile, setSelectedFile }) => {
     const textareaRef = useRef(null);
     const fileInputRef = useRef(null);
     const inputContainerRef = useRef(null);
@@ -194,16 +194,27 @@ const InputArea = ({ inputValue, setInputValue, onSend, mode, selectedFile, setS
                                 </button>
                             </div>
 
-                            <button
-                                type="button"
-                                className={`flex items-center justify-center w-10 h-10 rounded-lg transition-all duration-200 ${(inputValue.trim() || selectedFile)
-                                    ? 'bg-[var(--brand-primary)] text-white shadow-md hover:shadow-lg active:scale-95 cursor-pointer'
-                                    : 'bg-[var(--bg-tertiary)] text-[var(--text-secondary)] cursor-not-allowed'}`}
-                                onClick={handleSend}
-                                disabled={!inputValue.trim() && !selectedFile}
-                            >
-                                <FaPaperPlane className="text-sm ml-0.5" />
-                            </button>
+                            {isGenerating && onStop ? (
+                                <button
+                                    type="button"
+                                    className="flex items-center justify-center w-10 h-10 rounded-lg bg-[var(--text-primary)] text-[var(--bg-card)] shadow-md hover:shadow-lg active:scale-95 cursor-pointer transition-all duration-200"
+                                    onClick={onStop}
+                                    title="Stop generating"
+                                >
+                                    <FaSquare className="text-xs" />
+                                </button>
+                            ) : (
+                                <button
+                                    type="button"
+                                    className={`flex items-center justify-center w-10 h-10 rounded-lg transition-all duration-200 ${(inputValue.trim() || selectedFile)
+                                        ? 'bg-[var(--brand-primary)] text-white shadow-md hover:shadow-lg active:scale-95 cursor-pointer'
+                                        : 'bg-[var(--bg-tertiary)] text-[var(--text-secondary)] cursor-not-allowed'}`}
+                                    onClick={handleSend}
+                                    disabled={!inputValue.trim() && !selectedFile}
+                                >
+                                    <FaPaperPlane className="text-sm ml-0.5" />
+                                </button>
+                            )}
                         </div>
                     </div>
                 </div>
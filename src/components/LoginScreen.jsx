@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import { FaShip, FaBuilding } from "react-icons/fa6";
+import { useAuth } from '../hooks/useAuth';
+
+/**
+ * LoginScreen Component
+ * Shown instead of the workspace until someone signs in: email/password
+ * against the auth endpoint, or single sign-on when VITE_AUTH_SSO_URL is set.
+ */
+const LoginScreen = () => {
+    const { login, loginWithSso, ssoEnabled, ssoError } = useAuth();
+    const [email, setEmail] = useState('');
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setIsSubmitting(true);
+        try {
+            await login({ email, password });
+        } catch (err) {
+            console.error('[LoginScreen.handleSubmit] Sign in failed:', err);
+            setError(err.message || 'Sign in failed');
+            setIsSubmitting(false);
+        }
+    };
+
+    const handleSso = () => {
+        try {
+            loginWithSso();
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    const shownError = error || ssoError;
+
+    return (
+        <div className="min-h-[100dvh] w-full flex items-center justify-center p-4 bg-[var(--bg-primary)] text-[var(--text-primary)]">
+            <div className="w-full max-w-sm bg-[var(--bg-card)] rounded-2xl border border-[var(--border-color)] shadow-2xl p-6 md:p-8 flex flex-col gap-5 animate-in fade-in slide-in-from-bottom-2 duration-300">
+                {/* Brand */}
+                <div className="flex flex-col items-center gap-3 text-center">
+                    <div className="w-12 h-12 rounded-xl bg-gradient-to-br from-[var(--brand-primary)] to-[var(--brand-highlight)] flex items-center justify-center text-white shadow-sm">
+                        <FaShip className="text-xl" />
+                    </div>
+                    <div>
+                        <h1 className="text-xl font-bold tracking-tight font-display">EximGPT</h1>
+                        <p className="text-xs text-[var(--text-secondary)]">Sign in to your logistics workspace</p>
+                    </div>
+                </div>
+
+                <form onSubmit={handleSubmit} className="flex flex-col gap-3">
+                    <input
+                        type="email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        placeholder="Email"
+                        autoComplete="username"
+                        required
+                        autoFocus
+                        className="w-full px-3 py-2.5 rounded-lg border border-[var(--border-color)] bg-[var(--bg-secondary)] text-sm text-[var(--text-primary)] outline-none focus:border-[var(--brand-primary)]"
+                    />
+                    <input
+                        type="password"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        placeholder="Password"
+                        autoComplete="current-password"
+                        required
+                        className="w-full px-3 py-2.5 rounded-lg border border-[var(--border-color)] bg-[var(--bg-secondary)] text-sm text-[var(--text-primary)] outline-none focus:border-[var(--brand-primary)]"
+                    />
+
+                    {shownError && (
+                        <p role="alert" className="text-xs text-red-500">{shownError}</p>
+                    )}
+
+                    <button
+                        type="submit"
+                        disabled={isSubmitting}
+                        className="w-full py-2.5 rounded-lg bg-[var(--brand-primary)] text-white text-sm font-semibold hover:opacity-90 disabled:opacity-60 transition-opacity"
+                    >
+                        {isSubmitting ? 'Signing in...' : 'Sign in'}
+                    </button>
+                </form>
+
+                {ssoEnabled && (
+                    <>
+                        <div className="flex items-center gap-3 text-[10px] font-semibold uppercase tracking-wider text-[var(--text-secondary)]">
+                            <div className="h-px flex-1 bg-[var(--border-color)]" />
+                            or
+                            <div className="h-px flex-1 bg-[var(--border-color)]" />
+                        </div>
+                        <button
+                            type="button"
+                            onClick={handleSso}
+                            className="w-full flex items-center justify-center gap-2 py-2.5 rounded-lg border border-[var(--border-color)] text-sm font-semibold text-[var(--text-primary)] hover:bg-[var(--bg-tertiary)] transition-colors"
+                        >
+                            <FaBuilding className="text-[var(--text-secondary)]" />
+                            Sign in with SSO
+                        </button>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default LoginScreen;
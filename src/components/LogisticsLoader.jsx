@@ -1,12 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { FaShip, FaPlane, FaTruck, FaBox } from "react-icons/fa6";
+import ToolSteps from './ToolSteps';
 
 /**
  * LogisticsLoader Component
  * Displays a rotating icon animation to indicate AI processing state.
  * Cycles through logistics-related icons (Ship, Plane, Truck, Box).
+ *
+ * @param {string} status - Optional server status shown under the label (e.g. "Searching HS codes")
+ * @param {Array} steps - Optional tool calls so far, shown as a live checklist
  */
-const LogisticsLoader = () => {
+const LogisticsLoader = ({ status, steps }) => {
     const icons = [FaShip, FaPlane, FaTruck, FaBox];
     const [index, setIndex] = useState(0);
 
@@ -21,7 +25,7 @@ const LogisticsLoader = () => {
     const CurrentIcon = icons[index];
 
     return (
-        <div className="flex items-center gap-4 p-3 pr-5 bg-[var(--bg-card)] rounded-xl border border-[var(--border-color)] shadow-lg animate-in fade-in slide-in-from-bottom-2 duration-300 backdrop-blur-sm">
+        <div className="flex items-start gap-4 p-3 pr-5 bg-[var(--bg-card)] rounded-xl border border-[var(--border-color)] shadow-lg animate-in fade-in slide-in-from-bottom-2 duration-300 backdrop-blur-sm">
             <div className="relative flex items-center justify-center w-10 h-10">
                 {/* Outer Pulsing Glow */}
                 <div className="absolute inset-0 bg-[var(--brand-primary)] rounded-full animate-pulse-ring"></div>
@@ -37,6 +41,14 @@ const LogisticsLoader = () => {
 
             <div className="flex flex-col gap-0.5">
                 <span className="text-xs font-bold text-[var(--text-primary)] tracking-wide uppercase">AI Processing...</span>
+                {status && (
+                    <span className="text-xs text-[var(--text-secondary)]">{status}</span>
+                )}
+                {steps?.length > 0 && (
+                    <div className="mt-1.5">
+                        <ToolSteps steps={steps} live />
+                    </div>
+                )}
             </div>
         </div>
     );
@@ -147,4 +147,18 @@ export const TypingMessage = ({ content, onComplete, onTyping, timestamp, onLink
     return <MessageContent content={displayedContent} onLinkClick={onLinkClick} />;
 };
 
+/**
+ * StreamingMessage Component
+ * Renders an assistant reply that is still arriving token by token.
+ * The content grows as deltas land in the session, so no local timer is needed.
+ * 
+ * @param {string} content - The text received so far.
+ */
+export const StreamingMessage = ({ content, onLinkClick }) => (
+    <div className="streaming-message">
+        <MessageContent content={content} onLinkClick={onLinkClick} />
+        <span className="inline-block w-2 h-4 mt-1 align-middle rounded-sm bg-[var(--brand-primary)] animate-pulse" />
+    </div>
+);
+
 export default MessageContent;
\ No newline at end of file
@@ -0,0 +1,43 @@
+import React from 'react';
+import { FaCloudArrowDown, FaRotateRight } from "react-icons/fa6";
+
+/**
+ * OfflineCopyBanner Component
+ * Takes the place of the input for a thread shown from the local mirror
+ * because the server couldn't be reached: the copy is read-only until a
+ * retry succeeds.
+ *
+ * @param {number} savedAt - When the mirrored copy was saved (ms)
+ * @param {boolean} isRetrying - A retry is in progress
+ * @param {Function} onRetry - Try loading the thread from the server again
+ */
+const OfflineCopyBanner = ({ savedAt, isRetrying = false, onRetry }) => {
+    const savedLabel = savedAt
+        ? new Date(savedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })
+        : null;
+
+    return (
+        <div
+            role="status"
+            className="flex items-center gap-3 px-4 py-3 rounded-2xl border border-amber-500/40 bg-amber-500/10 text-[var(--text-primary)]"
+        >
+            <FaCloudArrowDown className="text-amber-500 shrink-0" />
+            <div className="flex-1 min-w-0">
+                <div className="text-sm font-semibold">Offline copy - read-only</div>
+                <div className="text-xs text-[var(--text-secondary)]">
+                    The server can't be reached{savedLabel ? `. Saved on this device ${savedLabel}.` : '.'}
+                </div>
+            </div>
+            <button
+                onClick={onRetry}
+                disabled={isRetrying}
+                className="flex items-center gap-1.5 px-3 py-1.5 rounded-lg text-xs font-semibold text-[var(--brand-primary)] hover:bg-[var(--bg-tertiary)] disabled:opacity-60 transition-colors"
+            >
+                <FaRotateRight className={isRetrying ? 'animate-spin' : ''} />
+                {isRetrying ? 'Retrying...' : 'Retry'}
+            </button>
+        </div>
+    );
+};
+
+export default OfflineCopyBanner;
@@ -0,0 +1,103 @@
+import React, { useState } from 'react';
+import { FaLock, FaBuilding } from "react-icons/fa6";
+
+/**
+ * ReLoginDialog Component
+ * Modal shown when the server no longer accepts the session (HTTP 401 or an
+ * auth close on the chat socket) and the token could not be refreshed.
+ * Open tabs, drafts and queued messages stay as they are underneath.
+ *
+ * @param {boolean} isOpen - Whether the dialog is shown
+ * @param {string} defaultEmail - Email of the user whose session ended
+ * @param {Function} onLogin - (credentials) => Promise, rejects with an Error on failure
+ * @param {Function} onSso - Starts single sign-on; omit to hide the option
+ */
+const ReLoginDialog = ({ isOpen, defaultEmail = '', onLogin, onSso }) => {
+    const [email, setEmail] = useState(defaultEmail);
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState(null);
+    const [isSubmitting, setIsSubmitting] = useState(false);
+
+    if (!isOpen) return null;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setIsSubmitting(true);
+        try {
+            await onLogin({ email, password });
+            setPassword('');
+        } catch (err) {
+            setError(err.message || 'Sign in failed');
+        } finally {
+            setIsSubmitting(false);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 z-[3000] flex items-center justify-center p-4 bg-black/50 backdrop-blur-[3px] animate-in fade-in duration-300">
+            <form
+                onSubmit={handleSubmit}
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="relogin-title"
+                className="w-full max-w-sm bg-[var(--bg-card)] rounded-2xl border border-[var(--border-color)] shadow-2xl p-6 flex flex-col gap-4"
+            >
+                <div className="flex items-center gap-3">
+                    <div className="w-10 h-10 rounded-full bg-[var(--brand-primary)]/15 flex items-center justify-center text-[var(--brand-primary)]">
+                        <FaLock />
+                    </div>
+                    <div>
+                        <h2 id="relogin-title" className="text-lg font-bold tracking-tight text-[var(--text-primary)]">Sign in to continue</h2>
+                        <p className="text-xs text-[var(--text-secondary)]">Your session ended. Your open chats are kept.</p>
+                    </div>
+                </div>
+
+                <input
+                    type="email"
+                    value={email}
+                    onChange={(e) => setEmail(e.target.value)}
+                    placeholder="Email"
+                    autoComplete="username"
+                    required
+                    className="w-full px-3 py-2.5 rounded-lg border border-[var(--border-color)] bg-[var(--bg-secondary)] text-sm text-[var(--text-primary)] outline-none focus:border-[var(--brand-primary)]"
+                />
+                <input
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    placeholder="Password"
+                    autoComplete="current-password"
+                    required
+                    autoFocus
+                    className="w-full px-3 py-2.5 rounded-lg border border-[var(--border-color)] bg-[var(--bg-secondary)] text-sm text-[var(--text-primary)] outline-none focus:border-[var(--brand-primary)]"
+                />
+
+                {error && (
+                    <p role="alert" className="text-xs text-red-500">{error}</p>
+                )}
+
+                <button
+                    type="submit"
+                    disabled={isSubmitting}
+                    className="w-full py-2.5 rounded-lg bg-[var(--brand-primary)] text-white text-sm font-semibold hover:opacity-90 disabled:opacity-60 transition-opacity"
+                >
+                    {isSubmitting ? 'Signing in...' : 'Sign in'}
+                </button>
+
+                {onSso && (
+                    <button
+                        type="button"
+                        onClick={onSso}
+                        className="w-full flex items-center justify-center gap-2 py-2.5 rounded-lg border border-[var(--border-color)] text-sm font-semibold text-[var(--text-primary)] hover:bg-[var(--bg-tertiary)] transition-colors"
+                    >
+                        <FaBuilding className="text-[var(--text-secondary)]" />
+                        Sign in with SSO
+                    </button>
+                )}
+            </form>
+        </div>
+    );
+};
+
+export default ReLoginDialog;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { FaClockRotateLeft, FaXmark } from "react-icons/fa6";
+
+/**
+ * RestoreSessionPrompt Component
+ * Offers to reopen the tabs and drafts of an earlier visit when that snapshot
+ * is too old to restore without asking.
+ *
+ * @param {number} savedAt - When the snapshot was taken (ms)
+ * @param {number} tabCount - Number of tabs in the snapshot
+ * @param {Function} onRestore - Reopen the saved tabs
+ * @param {Function} onDismiss - Keep the current tabs
+ */
+const RestoreSessionPrompt = ({ savedAt, tabCount, onRestore, onDismiss }) => {
+    const savedLabel = new Date(savedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+
+    return (
+        <div
+            role="dialog"
+            aria-label="Restore previous session"
+            className="absolute top-3 left-1/2 -translate-x-1/2 z-10 w-[calc(100%-2rem)] max-w-md flex items-center gap-3 px-4 py-3 rounded-2xl border border-[var(--border-color)] bg-[var(--bg-card)] shadow-lg animate-in fade-in slide-in-from-top-2 duration-300"
+        >
+            <FaClockRotateLeft className="text-[var(--brand-primary)] shrink-0" />
+            <div className="flex-1 min-w-0">
+                <div className="text-sm font-semibold text-[var(--text-primary)]">Restore previous session?</div>
+                <div className="text-xs text-[var(--text-secondary)]">
+                    {tabCount} {tabCount === 1 ? 'tab' : 'tabs'} from {savedLabel}
+                </div>
+            </div>
+            <button
+                onClick={onRestore}
+                className="px-3 py-1.5 rounded-lg bg-[var(--brand-primary)] text-white text-xs font-semibold hover:opacity-90 transition-opacity"
+            >
+                Restore
+            </button>
+            <button
+                onClick={onDismiss}
+                aria-label="Dismiss"
+                className="p-1.5 rounded-lg text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-[var(--bg-tertiary)] transition-colors"
+            >
+                <FaXmark />
+            </button>
+        </div>
+    );
+};
+
+export default RestoreSessionPrompt;
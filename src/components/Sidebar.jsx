@@ -1,9 +1,13 @@
-import { FaMagnifyingGlass, FaEllipsisVertical, FaChevronDown, FaShip, FaMapLocationDot, FaFileContract, FaBars, FaChevronLeft, FaSun, FaMoon } from "react-icons/fa6";
+import { FaMagnifyingGlass, FaEllipsisVertical, FaChevronDown, FaShip, FaMapLocationDot, FaFileContract, FaBars, FaChevronLeft, FaSun, FaMoon, FaArrowRightFromBracket, FaBell, FaBellSlash, FaTrashCan } from "react-icons/fa6";
 import { FaQuestionCircle } from "react-icons/fa";
 import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../hooks/useAuth';
 import React, { useState, useRef, useEffect } from 'react';
 import ReactDOM from 'react-dom';
 import Tooltip from './Tooltip';
+import Avatar from './Avatar';
+import notificationService from '../services/NotificationService';
+import localDataService from '../services/LocalDataService';
 
 // ChatItem component that shows tooltip only when title is truncated (has ellipsis)
 const ChatItem = ({ title, firstMessage }) => {
@@ -40,8 +44,10 @@ const ChatItem = ({ title, firstMessage }) => {
     );
 };
 
-const Sidebar = ({ collapsed, toggleSidebar, isOpenMobile, closeMobileSidebar, onSearchClick, onNewChat, threads = [], currThreadId, onLoadChat, onDeleteChat, onFAQClick, showFAQ }) => {
+const Sidebar = ({ collapsed, toggleSidebar, isOpenMobile, closeMobileSidebar, onSearchClick, onNewChat, threads = [], isOffline = false, currThreadId, onLoadChat, onDeleteChat, onFAQClick, showFAQ }) => {
     const { theme, toggleTheme } = useTheme();
+    const { profile, logout } = useAuth();
+    const [notificationsOn, setNotificationsOn] = useState(() => notificationService.isEnabled());
     const [activeMenu, setActiveMenu] = useState(null); // Track which chat menu is open
     const [isDeleting, setIsDeleting] = useState(false);
 
@@ -65,6 +71,23 @@ const Sidebar = ({ collapsed, toggleSidebar, isOpenMobile, closeMobileSidebar, o
         docs: false
     });
 
+    // Desktop notifications for answers in background tabs (asks for permission when turned on)
+    const toggleNotifications = async () => {
+        if (notificationsOn) {
+            notificationService.disable();
+            setNotificationsOn(false);
+            return;
+        }
+        setNotificationsOn(await notificationService.enable());
+    };
+
+    // Shared machines: remove every cached conversation, then sign out
+    const handleWipeLocalData = async () => {
+        const confirmed = window.confirm('Delete all conversations, drafts and settings stored in this browser and sign out?');
+        if (!confirmed) return;
+        await localDataService.wipe();
+    };
+
     const toggleCategory = (cat) => {
         setExpandedCategories(prev => ({
             ...prev,
@@ -351,7 +374,14 @@ const Sidebar = ({ collapsed, toggleSidebar, isOpenMobile, closeMobileSidebar, o
                             className="px-2 mb-1.5 text-xs font-bold text-[var(--text-secondary)] uppercase tracking-wider flex justify-between items-center cursor-pointer hover:text-[var(--text-primary)] transition-colors"
                             onClick={() => setShowHistory(!showHistory)}
                         >
-                            <span className="flex items-center gap-2">History</span>
+                            <span className="flex items-center gap-2">
+                                History
+                                {isOffline && (
+                                    <span className="normal-case tracking-normal font-semibold text-[10px] text-amber-500 bg-amber-500/10 px-1.5 rounded" title="The server can't be reached - showing the copy saved on this device">
+                                        Offline copy
+                                    </span>
+                                )}
+                            </span>
                             <span className="text-[10px] bg-[var(--bg-tertiary)] border border-[var(--border-color)] px-1.5 rounded hover:bg-[var(--bg-card)]">
                                 {showHistory ? 'Hide' : 'Show'}
                             </span>
@@ -395,6 +425,22 @@ const Sidebar = ({ collapsed, toggleSidebar, isOpenMobile, closeMobileSidebar, o
                         </button>
                     </Tooltip>
 
+                    {notificationService.isSupported() && (
+                        <Tooltip
+                            content={notificationsOn ? 'Turn off answer notifications' : 'Notify me when an answer arrives in the background'}
+                            disabled={isExpanded}
+                            position="right"
+                        >
+                            <button
+                                className={`icon-item flex items-center gap-3 p-3 rounded-md hover:bg-[var(--bg-tertiary)] transition-colors w-full ${isExpanded ? '' : 'justify-center'} text-[var(--text-secondary)]`}
+                                onClick={toggleNotifications}
+                            >
+                                {notificationsOn ? <FaBell className="text-lg hover:scale-105 transition-all" /> : <FaBellSlash className="text-lg hover:scale-105 transition-all" />}
+                                <span className={`label text-[14px] font-medium whitespace-nowrap transition-opacity duration-200 ${isExpanded ? 'block opacity-100' : 'hidden opacity-0'}`}>{notificationsOn ? 'Notifications on' : 'Notifications off'}</span>
+                            </button>
+                        </Tooltip>
+                    )}
+
                     <Tooltip
                         content="Frequently Asked Questions"
                         disabled={isExpanded}
@@ -413,6 +459,41 @@ const Sidebar = ({ collapsed, toggleSidebar, isOpenMobile, closeMobileSidebar, o
                             <span className={`label text-[14px] font-medium whitespace-nowrap transition-opacity duration-200 ${isExpanded ? 'block opacity-100' : 'hidden opacity-0'}`}>FAQ</span>
                         </button>
                     </Tooltip>
+
+                    {/* Signed-in user */}
+                    {profile && (
+                        <div className={`flex items-center gap-3 mt-1 pt-2 px-1.5 border-t border-[var(--border-color)] ${isExpanded ? '' : 'flex-col'}`}>
+                            <Avatar
+                                src={profile.avatarUrl}
+                                name={profile.name}
+                                className="flex w-8 h-8 bg-[var(--bg-tertiary)] text-[var(--text-primary)] font-bold text-xs"
+                            />
+                            <div className={`flex-1 min-w-0 ${isExpanded ? 'block' : 'hidden'}`}>
+                                <div className="text-sm font-semibold text-[var(--text-primary)] truncate">{profile.name}</div>
+                                {profile.organisation && (
+                                    <div className="text-xs text-[var(--text-secondary)] truncate">{profile.organisation}</div>
+                                )}
+                            </div>
+                            <Tooltip content="Wipe local data and sign out" position="right">
+                                <button
+                                    className="p-2 rounded-md text-[var(--text-secondary)] hover:text-red-500 hover:bg-[var(--bg-tertiary)] transition-colors"
+                                    onClick={handleWipeLocalData}
+                                    aria-label="Wipe local data"
+                                >
+                                    <FaTrashCan />
+                                </button>
+                            </Tooltip>
+                            <Tooltip content="Sign out" position="right">
+                                <button
+                                    className="p-2 rounded-md text-[var(--text-secondary)] hover:text-[var(--text-primary)] hover:bg-[var(--bg-tertiary)] transition-colors"
+                                    onClick={logout}
+                                    aria-label="Sign out"
+                                >
+                                    <FaArrowRightFromBracket />
+                                </button>
+                            </Tooltip>
+                        </div>
+                    )}
                 </div>
             </div >
 
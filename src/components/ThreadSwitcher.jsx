@@ -148,6 +148,16 @@ const ThreadSwitcher = ({
                                             {session.title || "New Chat"}
                                         </span>
 
+                                        {/* Unread answers */}
+                                        {session.unreadCount > 0 && (
+                                            <span className={`
+                                                shrink-0 min-w-[16px] h-4 px-1 rounded-full text-[9px] font-bold flex items-center justify-center
+                                                ${isActive ? 'bg-white text-[var(--brand-primary)]' : 'bg-[var(--brand-primary)] text-white'}
+                                            `}>
+                                                {session.unreadCount > 9 ? '9+' : session.unreadCount}
+                                            </span>
+                                        )}
+
                                         {/* Close Button */}
                                         <button
                                             className={`
@@ -0,0 +1,48 @@
+import React from 'react';
+import { FaCircleCheck, FaCircleXmark, FaSpinner } from "react-icons/fa6";
+import { TOOL_PROGRESS_STATES } from '../services/SharedWebSocketService';
+
+/**
+ * ToolSteps Component
+ * Checklist of the tools the assistant called for an answer (from tool_progress frames),
+ * e.g. "Querying carrier rates" or "Fetching HSN tariff".
+ *
+ * @param {Array} steps - [{ id, label, state, step, totalSteps }]
+ * @param {boolean} live - Shown while the answer is being prepared (adds the step count)
+ */
+const ToolSteps = ({ steps, live = false }) => {
+    if (!steps?.length) return null;
+
+    const totalSteps = steps[steps.length - 1].totalSteps;
+    const finished = steps.filter(s => s.state === TOOL_PROGRESS_STATES.FINISHED).length;
+
+    return (
+        <div className="flex flex-col gap-1">
+            {live && totalSteps && (
+                <span className="text-[10px] font-semibold uppercase tracking-wide text-[var(--text-secondary)]">
+                    Step {Math.min(finished + 1, totalSteps)} of {totalSteps}
+                </span>
+            )}
+            <ul className="flex flex-col gap-1">
+                {steps.map(step => (
+                    <li key={step.id} className="flex items-center gap-2 text-xs text-[var(--text-secondary)]">
+                        {step.state === TOOL_PROGRESS_STATES.FINISHED ? (
+                            <FaCircleCheck className="text-green-500 shrink-0" />
+                        ) : step.state === TOOL_PROGRESS_STATES.FAILED ? (
+                            <FaCircleXmark className="text-red-500 shrink-0" />
+                        ) : live ? (
+                            <FaSpinner className="text-[var(--brand-primary)] shrink-0 animate-spin" />
+                        ) : (
+                            <FaCircleCheck className="text-[var(--text-secondary)] opacity-50 shrink-0" />
+                        )}
+                        <span className={step.state === TOOL_PROGRESS_STATES.FAILED ? 'line-through' : ''}>
+                            {step.label}
+                        </span>
+                    </li>
+                ))}
+            </ul>
+        </div>
+    );
+};
+
+export default ToolSteps;
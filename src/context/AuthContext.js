@@ -0,0 +1,7 @@
+import { createContext } from 'react';
+
+/**
+ * Signed-in user and auth actions, provided by AuthProvider and read with useAuth:
+ * { status, user, profile, ssoEnabled, ssoError, login, loginWithSso, logout }
+ */
+export const AuthContext = createContext();
@@ -0,0 +1,84 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { AuthContext } from './AuthContext';
+import authService, { AUTH_STATUS } from '../services/AuthService';
+import { isCurrentScope } from '../services/userScope';
+import API_CONFIG from '../services/api.config';
+
+/**
+ * Display fields of a user, whatever the identity provider called them
+ * @param {Object|null} user - User from the auth session
+ * @returns {Object|null} - { name, email, avatarUrl, organisation }
+ */
+const toProfile = (user) => {
+    if (!user) return null;
+    return {
+        name: user.name || user.displayName || user.email || 'You',
+        email: user.email || null,
+        avatarUrl: user.avatarUrl || user.picture || null,
+        organisation: user.organisation || user.organization || user.org?.name || null
+    };
+};
+
+/**
+ * Signed-in user and sign-in/out actions for the whole app.
+ * Signing out (here or in another tab) or switching accounts reloads the
+ * page, so no service keeps state from the previous user.
+ */
+const AuthProvider = ({ children }) => {
+    const [authState, setAuthState] = useState(() => authService.getState());
+    const [ssoError, setSsoError] = useState(null);
+
+    useEffect(() => {
+        let lastStatus = authService.getState().status;
+        const unsubscribe = authService.subscribe(state => {
+            const signedOut = state.status === AUTH_STATUS.ANONYMOUS && lastStatus !== AUTH_STATUS.ANONYMOUS;
+            const switchedUser = state.status === AUTH_STATUS.AUTHENTICATED && !isCurrentScope(state.user);
+            lastStatus = state.status;
+
+            if (signedOut || switchedUser) {
+                console.log(`[AuthContext] ${signedOut ? 'Signed out' : 'Switched account'} - reloading`);
+                window.location.reload();
+                return;
+            }
+            setAuthState(state);
+        });
+
+        return () => {
+            unsubscribe();
+        };
+    }, []);
+
+    // Coming back from the SSO provider
+    useEffect(() => {
+        authService.completeSsoLogin().catch(err => {
+            console.error('[AuthContext] Single sign-on failed:', err);
+            setSsoError(err.message);
+        });
+    }, []);
+
+    const login = useCallback((credentials) => authService.login(credentials), []);
+
+    const loginWithSso = useCallback(() => {
+        setSsoError(null);
+        authService.startSsoLogin();
+    }, []);
+
+    const logout = useCallback(() => authService.logout(), []);
+
+    return (
+        <AuthContext.Provider value={{
+            status: authState.status,
+            user: authState.user,
+            profile: toProfile(authState.user),
+            ssoEnabled: !!API_CONFIG.auth.SSO_URL,
+            ssoError,
+            login,
+            loginWithSso,
+            logout
+        }}>
+            {children}
+        </AuthContext.Provider>
+    );
+};
+
+export default AuthProvider;
@@ -1,12 +1,17 @@
 import React, { createContext, useState, useEffect, useContext } from 'react';
+import { useAuth } from '../hooks/useAuth';
+import { scopedKey } from '../services/userScope';
 
 const ThemeContext = createContext();
 
 export const ThemeProvider = ({ children }) => {
     const [theme, setTheme] = useState('light');
+    // Each user keeps their own theme; re-read once someone signs in
+    const { user } = useAuth();
+    const themeKey = user ? scopedKey('theme') : 'theme';
 
     useEffect(() => {
-        const savedTheme = localStorage.getItem('theme');
+        const savedTheme = localStorage.getItem(themeKey);
         if (savedTheme) {
             setTheme(savedTheme);
 
@@ -18,12 +23,12 @@ export const ThemeProvider = ({ children }) => {
                 document.documentElement.classList.remove('dark');
             }
         }
-    }, []);
+    }, [themeKey]);
 
     const toggleTheme = () => {
         const newTheme = theme === 'light' ? 'dark' : 'light';
         setTheme(newTheme);
-        localStorage.setItem('theme', newTheme);
+        localStorage.setItem(themeKey, newTheme);
         
         document.body.classList.toggle('dark-mode', newTheme === 'dark');
 
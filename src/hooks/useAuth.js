@@ -0,0 +1,10 @@
+import { useContext } from 'react';
+import { AuthContext } from '../context/AuthContext';
+
+/**
+ * Custom hook exposing the signed-in user's profile and the sign-in/out actions
+ * (see AuthProvider).
+ *
+ * @returns {Object} { status, user, profile, ssoEnabled, ssoError, login, loginWithSso, logout }
+ */
+export const useAuth = () => useContext(AuthContext);
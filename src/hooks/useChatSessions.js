@@ -1,6 +1,12 @@
-import { useState, useRef } from 'react';
+import { useState, useRef, useCallback, useEffect } from 'react';
 import { v1 as uuidv1 } from 'uuid';
 import ChatService from '../services/chat.service';
+import outboxService from '../services/OutboxService';
+import threadMirrorService from '../services/ThreadMirrorService';
+import sessionSnapshotService from '../services/SessionSnapshotService';
+import API_CONFIG from '../services/api.config';
+import { getUserScope } from '../services/userScope';
+import { useTitleUpdates } from './useTitleUpdates';
 
 /**
  * Maximum number of active sessions allowed.
@@ -8,6 +14,9 @@ import ChatService from '../services/chat.service';
  */
 const MAX_ACTIVE_SESSIONS = 6;
 
+// Wait for changes to settle before snapshotting the open tabs
+const SNAPSHOT_DEBOUNCE_MS = 500;
+
 /**
  * Helper function to log errors with detailed context
  * @param {string} hookName - Name of the hook
@@ -29,6 +38,74 @@ const logError = (hookName, method, error, context = {}) => {
     return errorInfo;
 };
 
+/**
+ * Append messages still waiting in the outbox (e.g. sent before a reload)
+ * to a thread's history so they show with a "pending" badge.
+ * @param {Array} messages - Messages fetched from the server
+ * @param {Array} queued - Outbox entries for the thread
+ * @returns {Array} - Merged messages
+ */
+const mergeQueuedMessages = (messages, queued) => {
+    const known = new Set(messages.map(m => m.clientMessageId).filter(Boolean));
+    const pending = queued
+        .filter(entry => !known.has(entry.clientMessageId))
+        .map(entry => ({
+            role: 'user',
+            content: entry.content,
+            clientMessageId: entry.clientMessageId,
+            timestamp: entry.createdAt,
+            pending: true,
+            queued: true
+        }));
+    return [...messages, ...pending];
+};
+
+/**
+ * Whether a session is an untouched "New Chat" (nothing worth restoring)
+ * @param {Object} session - Chat session or snapshot entry
+ * @returns {boolean}
+ */
+const isPristineSession = (session) =>
+    !session.messages?.length && !session.hasMessages && !session.needsLoad && !session.inputValue && !session.selectedFile;
+
+/**
+ * Rebuild a chat session from a snapshot entry. Threads come back empty and
+ * are fetched when their tab is first shown (needsLoad).
+ * @param {Object} saved - Entry from SessionSnapshotService.load
+ * @returns {Object} - Chat session
+ */
+const fromSnapshot = (saved) => ({
+    id: saved.id,
+    messages: [],
+    inputValue: saved.inputValue || "",
+    title: saved.title || "New Chat",
+    isThinking: !!saved.hasMessages,
+    scrollPosition: saved.scrollPosition || 0,
+    lastAccessedAt: saved.lastAccessedAt,
+    selectedFile: saved.selectedFile,
+    needsLoad: !!saved.hasMessages,
+    restoreScroll: !!saved.hasMessages
+});
+
+/**
+ * Reconcile a thread shown from the local mirror with the server's history.
+ * Turns sent after the mirrored copy was shown (and their replies) are kept
+ * unless the server already has them.
+ * @param {Array} local - Messages currently in the session
+ * @param {number} baseCount - How many of them came from the mirror
+ * @param {Array} serverMessages - Messages fetched from the server
+ * @param {Array} queued - Outbox entries for the thread
+ * @returns {Array} - Reconciled messages
+ */
+const reconcileMessages = (local, baseCount, serverMessages, queued) => {
+    const merged = mergeQueuedMessages(serverMessages, queued);
+    const known = new Set(merged.map(m => m.clientMessageId).filter(Boolean));
+    const sentSince = local
+        .slice(baseCount)
+        .filter(m => !known.has(m.clientMessageId) && !known.has(m.replyTo));
+    return [...merged, ...sentSince];
+};
+
 export const useChatSessions = (threads = [], closeMobileSidebar) => {
     const [activeSessions, setActiveSessions] = useState([{
         id: uuidv1(),
@@ -50,6 +127,101 @@ export const useChatSessions = (threads = [], closeMobileSidebar) => {
         setActiveSessions(prev => prev.map(s => s.id === activeSessionId ? { ...s, ...fields } : s));
     };
 
+    // Server-pushed titles replace the provisional one taken from the first message
+    const applyTitleUpdate = useCallback((threadId, title) => {
+        setActiveSessions(prev => prev.map(s => s.id === threadId ? { ...s, title } : s));
+    }, []);
+    useTitleUpdates(applyTitleUpdate);
+
+    // Mirror each thread locally once its messages settle (never offline copies
+    // or answers still streaming)
+    const mirroredMessagesRef = useRef(new Map());
+    useEffect(() => {
+        activeSessions.forEach(s => {
+            if (s.readOnly || s.isSyncing || s.isThinking || s.messages.length === 0) return;
+            if (s.messages.some(m => m.isStreaming)) return;
+            if (mirroredMessagesRef.current.get(s.id) === s.messages) return;
+
+            mirroredMessagesRef.current.set(s.id, s.messages);
+            threadMirrorService.saveMessages(s.id, s.messages);
+        });
+    }, [activeSessions]);
+
+    // --- Session snapshot (open tabs, drafts, files, scroll, active tab) ---
+    // An old snapshot waits here until the user decides whether to restore it
+    const [restorePrompt, setRestorePrompt] = useState(null);
+    const [snapshotChecked, setSnapshotChecked] = useState(false);
+    const latestSnapshotRef = useRef(null);
+
+    const applySnapshot = useCallback((snapshot) => {
+        const restored = snapshot.sessions.map(fromSnapshot);
+        const restoredIds = new Set(restored.map(s => s.id));
+        console.log(`[useChatSessions.applySnapshot] Restoring ${restored.length} tabs saved at ${new Date(snapshot.savedAt).toISOString()}`);
+
+        // Anything already started in this visit stays open next to the restored tabs
+        setActiveSessions(prev => [...restored, ...prev.filter(s => !isPristineSession(s) && !restoredIds.has(s.id))]);
+        setActiveSessionId(restoredIds.has(snapshot.activeSessionId) ? snapshot.activeSessionId : restored[0].id);
+    }, []);
+
+    // Restore the previous visit on boot; ask first when it is old
+    useEffect(() => {
+        let cancelled = false;
+
+        sessionSnapshotService.load().then(snapshot => {
+            if (cancelled) return;
+
+            if (snapshot && !snapshot.sessions.every(isPristineSession)) {
+                if (Date.now() - snapshot.savedAt < API_CONFIG.sessions.RESTORE_PROMPT_AFTER_MS) {
+                    applySnapshot(snapshot);
+                } else {
+                    console.log(`[useChatSessions.snapshot] Snapshot from ${new Date(snapshot.savedAt).toISOString()} is old, asking before restoring`);
+                    setRestorePrompt(snapshot);
+                }
+            }
+            setSnapshotChecked(true);
+        });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [applySnapshot]);
+
+    // Snapshot shortly after tabs change (not before the old one has been read,
+    // and not while it is still on offer - a reload would lose it otherwise)
+    useEffect(() => {
+        if (!snapshotChecked || restorePrompt) {
+            latestSnapshotRef.current = null;
+            return;
+        }
+
+        latestSnapshotRef.current = { sessions: activeSessions, activeSessionId };
+        const timer = setTimeout(() => sessionSnapshotService.save(activeSessions, activeSessionId), SNAPSHOT_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [activeSessions, activeSessionId, snapshotChecked, restorePrompt]);
+
+    // ...and right away when the page is hidden (tab switch, close, reload)
+    useEffect(() => {
+        const flush = () => {
+            if (document.visibilityState !== 'hidden' || !latestSnapshotRef.current) return;
+            const { sessions, activeSessionId: activeId } = latestSnapshotRef.current;
+            sessionSnapshotService.save(sessions, activeId);
+        };
+
+        document.addEventListener('visibilitychange', flush);
+        return () => document.removeEventListener('visibilitychange', flush);
+    }, []);
+
+    const handleRestoreSnapshot = () => {
+        if (!restorePrompt) return;
+        applySnapshot(restorePrompt);
+        setRestorePrompt(null);
+    };
+
+    const dismissRestorePrompt = () => {
+        console.log('[useChatSessions.dismissRestorePrompt] Keeping current tabs');
+        setRestorePrompt(null);
+    };
+
     /**
      * Finds and removes the least recently used session.
      * @param {Array} sessions - Current sessions array
@@ -117,9 +289,9 @@ export const useChatSessions = (threads = [], closeMobileSidebar) => {
 
             console.log(`[useChatSessions.${method}] Switching to tab: ${id}`);
 
-            // Update lastAccessedAt for the session being accessed
+            // Update lastAccessedAt for the session being accessed; its answers are now read
             setActiveSessions(prev => prev.map(s =>
-                s.id === id ? { ...s, lastAccessedAt: Date.now() } : s
+                s.id === id ? { ...s, lastAccessedAt: Date.now(), unreadCount: 0 } : s
             ));
             setActiveSessionId(id);
         } catch (error) {
@@ -135,7 +307,7 @@ export const useChatSessions = (threads = [], closeMobileSidebar) => {
             if (activeSessions.length === 1) {
                 console.log(`[useChatSessions.${method}] Only one tab remaining, resetting instead of closing`);
                 // Reset last tab
-                updateActiveSession({ messages: [], inputValue: "", title: "New Chat", isThinking: false, id: uuidv1() });
+                updateActiveSession({ messages: [], inputValue: "", selectedFile: null, title: "New Chat", isThinking: false, readOnly: false, needsLoad: false, restoreScroll: false, unreadCount: 0, id: uuidv1() });
                 return;
             }
 
@@ -156,6 +328,77 @@ export const useChatSessions = (threads = [], closeMobileSidebar) => {
         }
     };
 
+    /**
+     * Fetch a thread from the server and replace what the session shows.
+     * If the server can't be reached, a mirrored copy stays up read-only.
+     * @param {string} threadId - Thread ID
+     * @param {Object|null} mirrored - Mirrored copy already shown, from ThreadMirrorService.getMessages
+     */
+    const syncThread = useCallback(async (threadId, mirrored) => {
+        const method = 'syncThread';
+        console.log(`[useChatSessions.${method}] Fetching messages from server for thread: ${threadId}`);
+
+        try {
+            const [messages, queued] = await Promise.all([
+                ChatService.getThreadMessages(threadId),
+                outboxService.getByThread(getUserScope(), threadId).catch(outboxError => {
+                    logError('useChatSessions', method, outboxError, { operation: 'reading outbox', threadId });
+                    return [];
+                })
+            ]);
+            const thread = threads.find(t => t.threadId === threadId) || mirrored?.thread;
+
+            console.log(`[useChatSessions.${method}] Received ${messages?.length || 0} messages (${queued.length} pending in outbox) for thread: ${threadId}`);
+
+            setActiveSessions(prev => prev.map(s => s.id === threadId ? {
+                ...s,
+                messages: reconcileMessages(s.messages, mirrored?.messages.length ?? s.messages.length, messages || [], queued),
+                title: thread?.title || "Chat",
+                // With a mirrored copy up, a thinking indicator belongs to a turn sent since
+                isThinking: mirrored ? s.isThinking : false,
+                isSyncing: false,
+                readOnly: false,
+                mirroredAt: null
+            } : s));
+        } catch (fetchError) {
+            logError('useChatSessions', method, fetchError, {
+                operation: 'fetching thread messages',
+                threadId,
+                hasMirror: !!mirrored
+            });
+
+            setActiveSessions(prev => prev.map(s => {
+                if (s.id !== threadId) return s;
+                // Offline: keep browsing the mirrored copy, read-only
+                if (mirrored) {
+                    return { ...s, isSyncing: false, readOnly: true, mirroredAt: mirrored.savedAt };
+                }
+                return { ...s, isThinking: false, title: "Failed to load" };
+            }));
+        }
+    }, [threads]);
+
+    // Restored tabs fetch their thread the first time they are shown
+    const hydratingRef = useRef(new Set());
+    useEffect(() => {
+        const threadId = activeSession.id;
+        if (!activeSession.needsLoad || hydratingRef.current.has(threadId)) return;
+        hydratingRef.current.add(threadId);
+
+        (async () => {
+            console.log(`[useChatSessions.hydrate] Loading restored tab: ${threadId}`);
+            const mirrored = await threadMirrorService.getMessages(threadId);
+            setActiveSessions(prev => prev.map(s => s.id === threadId ? {
+                ...s,
+                needsLoad: false,
+                messages: mirrored?.messages || [],
+                isThinking: !mirrored,
+                isSyncing: !!mirrored
+            } : s));
+            await syncThread(threadId, mirrored);
+        })();
+    }, [activeSession.id, activeSession.needsLoad, syncThread]);
+
     const handleLoadChat = async (threadId) => {
         const method = 'handleLoadChat';
         try {
@@ -172,7 +415,7 @@ export const useChatSessions = (threads = [], closeMobileSidebar) => {
                 console.log(`[useChatSessions.${method}] Chat already in active sessions, switching to it`);
                 // Update lastAccessedAt for the existing session
                 setActiveSessions(prev => prev.map(s =>
-                    s.id === threadId ? { ...s, lastAccessedAt: Date.now() } : s
+                    s.id === threadId ? { ...s, lastAccessedAt: Date.now(), unreadCount: 0 } : s
                 ));
                 setActiveSessionId(threadId);
                 if (closeMobileSidebar) closeMobileSidebar();
@@ -213,38 +456,49 @@ export const useChatSessions = (threads = [], closeMobileSidebar) => {
 
             if (closeMobileSidebar) closeMobileSidebar();
 
-            console.log(`[useChatSessions.${method}] Fetching messages from server for thread: ${threadId}`);
-
-            try {
-                const messages = await ChatService.getThreadMessages(threadId);
-                const thread = threads.find(t => t.threadId === threadId);
-
-                console.log(`[useChatSessions.${method}] Received ${messages?.length || 0} messages for thread: ${threadId}`);
-
+            // Show the mirrored copy right away, then reconcile with the server
+            const mirrored = await threadMirrorService.getMessages(threadId);
+            if (mirrored) {
+                console.log(`[useChatSessions.${method}] Showing ${mirrored.messages.length} mirrored messages for thread: ${threadId}`);
+                const thread = threads.find(t => t.threadId === threadId) || mirrored.thread;
                 setActiveSessions(prev => prev.map(s => s.id === threadId ? {
                     ...s,
-                    messages: messages,
+                    messages: mirrored.messages,
                     title: thread?.title || "Chat",
-                    isThinking: false
-                } : s));
-            } catch (fetchError) {
-                logError('useChatSessions', method, fetchError, {
-                    operation: 'fetching thread messages',
-                    threadId
-                });
-                // Update session to show error state
-                setActiveSessions(prev => prev.map(s => s.id === threadId ? {
-                    ...s,
                     isThinking: false,
-                    title: "Failed to load"
+                    isSyncing: true
                 } : s));
             }
+
+            await syncThread(threadId, mirrored);
         } catch (error) {
             logError('useChatSessions', method, error, { threadId });
             setActiveSessions(prev => prev.map(s => s.id === threadId ? { ...s, isThinking: false } : s));
         }
     };
 
+    /**
+     * Try the server again for a thread shown from the local mirror
+     * @param {string} threadId - Thread ID
+     */
+    const handleReloadChat = async (threadId) => {
+        const method = 'handleReloadChat';
+        try {
+            const session = activeSessions.find(s => s.id === threadId);
+            if (!session) return;
+
+            console.log(`[useChatSessions.${method}] Retrying server copy of thread: ${threadId}`);
+            setActiveSessions(prev => prev.map(s => s.id === threadId ? { ...s, isSyncing: true } : s));
+            await syncThread(threadId, {
+                messages: session.messages,
+                savedAt: session.mirroredAt,
+                thread: threads.find(t => t.threadId === threadId)
+            });
+        } catch (error) {
+            logError('useChatSessions', method, error, { threadId });
+        }
+    };
+
     return {
         activeSessions,
         setActiveSessions,
@@ -255,6 +509,10 @@ export const useChatSessions = (threads = [], closeMobileSidebar) => {
         handleNewChat,
         handleTabClick,
         handleTabClose,
-        handleLoadChat
+        handleLoadChat,
+        handleReloadChat,
+        restorePrompt,
+        handleRestoreSnapshot,
+        dismissRestorePrompt
     };
 };
\ No newline at end of file
@@ -0,0 +1,27 @@
+import { useState, useEffect, useCallback } from 'react';
+import sharedWebSocketService from '../services/SharedWebSocketService';
+
+/**
+ * Custom hook exposing the shared WebSocket's connection state.
+ * Works in every tab: followers receive the leader's state over BroadcastChannel.
+ *
+ * @returns {Object} { status, attempt, nextRetryAt, latencyMs, updatedAt, retryNow }
+ */
+export const useConnectionStatus = () => {
+    const [connectionState, setConnectionState] = useState(() => sharedWebSocketService.getConnectionState());
+
+    useEffect(() => {
+        const unsubscribe = sharedWebSocketService.subscribeConnectionState(setConnectionState);
+
+        return () => {
+            unsubscribe();
+        };
+    }, []);
+
+    const retryNow = useCallback(() => {
+        console.log('[useConnectionStatus.retryNow] Manual reconnect requested');
+        sharedWebSocketService.retryNow();
+    }, []);
+
+    return { ...connectionState, retryNow };
+};
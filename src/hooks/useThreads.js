@@ -1,5 +1,9 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import ChatService from '../services/chat.service';
+import threadSyncService, { THREAD_EVENTS } from '../services/ThreadSyncService';
+import threadMirrorService from '../services/ThreadMirrorService';
+import authService, { AUTH_STATUS } from '../services/AuthService';
+import { useTitleUpdates } from './useTitleUpdates';
 
 /**
  * Helper function to log errors with detailed context
@@ -22,20 +26,69 @@ const logError = (hookName, method, error, context = {}) => {
     return errorInfo;
 };
 
+/**
+ * Apply a thread list change to the current list
+ * @param {Array} threads - Current threads
+ * @param {Object} event - THREAD_EVENTS event
+ * @returns {Array} - Updated threads
+ */
+const applyThreadEvent = (threads, event) => {
+    const list = threads || [];
+
+    switch (event.type) {
+        case THREAD_EVENTS.REPLACED:
+            return event.threads || [];
+
+        case THREAD_EVENTS.CREATED: {
+            const { thread } = event;
+            if (!list.some(t => t.threadId === thread.threadId)) {
+                return [thread, ...list];
+            }
+            return list.map(t => t.threadId === thread.threadId ? { ...t, ...thread } : t);
+        }
+
+        // Updates may carry only the changed fields, so they never add a thread
+        case THREAD_EVENTS.UPDATED:
+            return list.map(t => t.threadId === event.thread.threadId ? { ...t, ...event.thread } : t);
+
+        case THREAD_EVENTS.DELETED:
+            return list.filter(t => t.threadId !== event.threadId);
+
+        default:
+            return list;
+    }
+};
+
+/**
+ * Custom hook for the sidebar thread list. Fetched on mount, then kept live
+ * by ThreadSyncService (pushed events, ETag polling, cross-tab fan-out).
+ * The list is mirrored locally (ThreadMirrorService); when the server can't
+ * be reached the mirrored copy is shown and isOffline is set.
+ */
 export const useThreads = () => {
     const [threads, setThreads] = useState([]);
+    // 'server' once the list came from the backend, 'mirror' while showing the local copy
+    const [source, setSource] = useState(null);
 
     const fetchThreads = useCallback(async () => {
         const method = 'fetchThreads';
         try {
             console.log(`[useThreads.${method}] Fetching all threads from server`);
-            const data = await ChatService.getAllThreads();
+            const { threads: data, etag } = await ChatService.getThreadsIfChanged(null);
             console.log(`[useThreads.${method}] Successfully fetched ${data?.length || 0} threads`);
             setThreads(data);
+            setSource('server');
+            // The next poll only downloads the list if it changed since
+            threadSyncService.setEtag(etag);
         } catch (err) {
             logError('useThreads', method, err, {
                 operation: 'fetching threads from API'
             });
+
+            const mirrored = await threadMirrorService.getThreadList();
+            console.log(`[useThreads.${method}] Showing ${mirrored.length} mirrored threads while offline`);
+            setThreads(prev => (prev?.length ? prev : mirrored));
+            setSource(prev => prev ?? 'mirror');
         }
     }, []);
 
@@ -44,6 +97,71 @@ export const useThreads = () => {
         fetchThreads();
     }, [fetchThreads]);
 
+    // Threads belong to the signed-in user: reload after signing (back) in
+    useEffect(() => {
+        let lastStatus = authService.getState().status;
+        const unsubscribe = authService.subscribe(({ status }) => {
+            if (status === AUTH_STATUS.AUTHENTICATED && lastStatus !== AUTH_STATUS.AUTHENTICATED) {
+                fetchThreads();
+            }
+            lastStatus = status;
+        });
+
+        return () => {
+            unsubscribe();
+        };
+    }, [fetchThreads]);
+
+    // Browser came back online: try the server again
+    useEffect(() => {
+        window.addEventListener('online', fetchThreads);
+        return () => window.removeEventListener('online', fetchThreads);
+    }, [fetchThreads]);
+
+    // Latest list, to tell updates of listed threads from ones we don't know yet
+    const threadsRef = useRef(threads);
+    useEffect(() => {
+        threadsRef.current = threads;
+    }, [threads]);
+
+    useEffect(() => {
+        const unsubscribe = threadSyncService.subscribe(event => {
+            console.log(`[useThreads.sync] Thread list ${event.type}`);
+            if (event.type === THREAD_EVENTS.UPDATED && !threadsRef.current?.some(t => t.threadId === event.thread.threadId)) {
+                console.log(`[useThreads.sync] Update for unlisted thread ${event.thread.threadId} - refetching the list`);
+                fetchThreads();
+                return;
+            }
+
+            setThreads(prev => applyThreadEvent(prev, event));
+            // A polled list proves the server is reachable again
+            if (event.type === THREAD_EVENTS.REPLACED) setSource('server');
+        });
+
+        return () => {
+            unsubscribe();
+        };
+    }, [fetchThreads]);
+
+    // Mirror the list once it has come from the server (never the offline copy)
+    useEffect(() => {
+        if (source === 'server' && threads) {
+            threadMirrorService.saveThreadList(threads);
+        }
+    }, [threads, source]);
+
+    // Keep sidebar titles live; a thread we haven't listed yet is new, so it goes on top
+    const applyTitleUpdate = useCallback((threadId, title) => {
+        setThreads(prev => {
+            const list = prev || [];
+            if (!list.some(t => t.threadId === threadId)) {
+                return [{ threadId, title, updatedAt: new Date().toISOString() }, ...list];
+            }
+            return list.map(t => t.threadId === threadId ? { ...t, title } : t);
+        });
+    }, []);
+    useTitleUpdates(applyTitleUpdate);
+
     const deleteThread = async (threadId) => {
         const method = 'deleteThread';
         try {
@@ -55,7 +173,9 @@ export const useThreads = () => {
             console.log(`[useThreads.${method}] Deleting thread: ${threadId}`);
             await ChatService.deleteThread(threadId);
 
-            setThreads(prev => prev.filter(t => t.threadId !== threadId));
+            // Updates this tab and the other local tabs
+            threadSyncService.publish({ type: THREAD_EVENTS.DELETED, threadId });
+            threadMirrorService.removeThread(threadId);
             console.log(`[useThreads.${method}] Successfully deleted thread: ${threadId}`);
             return true;
         } catch (err) {
@@ -67,5 +187,5 @@ export const useThreads = () => {
         }
     };
 
-    return { threads, setThreads, fetchThreads, deleteThread };
+    return { threads, setThreads, fetchThreads, deleteThread, isOffline: source === 'mirror' };
 };
\ No newline at end of file
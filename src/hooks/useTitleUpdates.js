@@ -0,0 +1,24 @@
+import { useEffect } from 'react';
+import sharedWebSocketService, { FRAME_TYPES } from '../services/SharedWebSocketService';
+
+/**
+ * Custom hook calling back whenever the server renames a thread
+ * (title_update frame). Frames reach every browser tab, so titles stay
+ * in sync across tabs without a refetch.
+ *
+ * @param {Function} onTitleUpdate - (threadId, title) => void, should be stable (useCallback)
+ */
+export const useTitleUpdates = (onTitleUpdate) => {
+    useEffect(() => {
+        const unsubscribe = sharedWebSocketService.subscribe((threadId, data) => {
+            if (!threadId || data.type !== FRAME_TYPES.TITLE_UPDATE || !data.title) return;
+
+            console.log(`[useTitleUpdates] Thread ${threadId} renamed to: ${data.title}`);
+            onTitleUpdate(threadId, data.title);
+        });
+
+        return () => {
+            unsubscribe();
+        };
+    }, [onTitleUpdate]);
+};
@@ -0,0 +1,143 @@
+import { useEffect, useRef } from 'react';
+import notificationService from '../services/NotificationService';
+
+const BADGE_SIZE = 64;
+
+/**
+ * Draw the unread total onto the page's favicon
+ * @param {string} iconHref - Original favicon URL
+ * @param {number} count - Unread total
+ * @returns {Promise<string>} - PNG data URL
+ */
+const drawBadgedIcon = (iconHref, count) => new Promise((resolve, reject) => {
+    const image = new Image();
+    image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = BADGE_SIZE;
+        canvas.height = BADGE_SIZE;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(image, 0, 0, BADGE_SIZE, BADGE_SIZE);
+
+        const radius = BADGE_SIZE * 0.3;
+        const center = BADGE_SIZE - radius;
+        ctx.beginPath();
+        ctx.arc(center, center, radius, 0, 2 * Math.PI);
+        ctx.fillStyle = '#ef4444';
+        ctx.fill();
+
+        ctx.fillStyle = '#ffffff';
+        ctx.font = `bold ${Math.round(radius * 1.3)}px sans-serif`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(count > 9 ? '9+' : String(count), center, center + 1);
+
+        resolve(canvas.toDataURL('image/png'));
+    };
+    image.onerror = reject;
+    image.src = iconHref;
+});
+
+/**
+ * Last assistant answer of a session, for the notification text
+ * @param {Object} session - Chat session
+ * @returns {string}
+ */
+const lastAnswerOf = (session) => {
+    const answer = [...session.messages].reverse().find(m => m.role === 'assistant');
+    return typeof answer?.content === 'string' ? answer.content : '';
+};
+
+/**
+ * Custom hook surfacing unread answers outside the chat view: the total goes
+ * into the document title and onto the favicon, and (if the user turned them
+ * on) a desktop notification is shown when an answer lands while the window
+ * is hidden. Clicking it focuses the window and opens that tab.
+ * Coming back to the window marks the visible tab as read.
+ *
+ * @param {Array} activeSessions - Chat sessions (with unreadCount)
+ * @param {Function} setActiveSessions - State setter for sessions
+ * @param {string} activeSessionId - ID of the currently visible session
+ * @param {Function} onOpenSession - (sessionId) => void, switches to a tab
+ * @returns {number} - Unread total across all tabs
+ */
+export const useUnreadIndicators = (activeSessions, setActiveSessions, activeSessionId, onOpenSession) => {
+    const totalUnread = activeSessions.reduce((sum, s) => sum + (s.unreadCount || 0), 0);
+
+    const pageRef = useRef(null); // Title and favicon before any badge: { title, link, icon }
+    const seenCountsRef = useRef(new Map()); // sessionId -> unreadCount already notified
+    const onOpenSessionRef = useRef(onOpenSession);
+
+    useEffect(() => {
+        onOpenSessionRef.current = onOpenSession;
+    }, [onOpenSession]);
+
+    // Remember the page as it was, and put it back when the workspace unmounts
+    useEffect(() => {
+        const link = document.querySelector('link[rel~="icon"]');
+        const page = { title: document.title, link, icon: link?.href };
+        pageRef.current = page;
+
+        return () => {
+            document.title = page.title;
+            if (page.link && page.icon) page.link.href = page.icon;
+        };
+    }, []);
+
+    // Title and favicon badge
+    useEffect(() => {
+        const { title, link, icon: baseIcon } = pageRef.current;
+        document.title = totalUnread > 0 ? `(${totalUnread}) ${title}` : title;
+        if (!link || !baseIcon) return;
+
+        if (totalUnread === 0) {
+            link.href = baseIcon;
+            return;
+        }
+
+        let cancelled = false;
+        drawBadgedIcon(baseIcon, totalUnread)
+            .then(dataUrl => {
+                if (!cancelled) link.href = dataUrl;
+            })
+            .catch(err => console.warn('[useUnreadIndicators] Could not draw favicon badge:', err));
+
+        return () => {
+            cancelled = true;
+        };
+    }, [totalUnread]);
+
+    // Notify for sessions whose unread count went up while the window is hidden
+    useEffect(() => {
+        const seen = seenCountsRef.current;
+
+        activeSessions.forEach(session => {
+            const count = session.unreadCount || 0;
+            const previous = seen.get(session.id) || 0;
+            seen.set(session.id, count);
+
+            if (count <= previous || !document.hidden) return;
+
+            notificationService.notify({
+                title: session.title || 'EximGPT',
+                body: lastAnswerOf(session),
+                tag: session.id,
+                onClick: () => onOpenSessionRef.current(session.id)
+            });
+        });
+    }, [activeSessions]);
+
+    // Back in the window: the tab on screen has been read
+    useEffect(() => {
+        const handleVisibilityChange = () => {
+            if (document.hidden) return;
+            setActiveSessions(prev => prev.some(s => s.id === activeSessionId && s.unreadCount)
+                ? prev.map(s => s.id === activeSessionId ? { ...s, unreadCount: 0 } : s)
+                : prev);
+        };
+
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+        return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+    }, [activeSessionId, setActiveSessions]);
+
+    return totalUnread;
+};
@@ -1,6 +1,23 @@
 import { useEffect, useRef, useCallback } from 'react';
-import sharedWebSocketService from '../services/SharedWebSocketService';
+import sharedWebSocketService, {
+    FRAME_TYPES,
+    FINAL_FRAME_TYPES,
+    OUTBOX_EVENT_TYPES,
+    REQUEST_EVENT_TYPES,
+    TOOL_PROGRESS_STATES
+} from '../services/SharedWebSocketService';
 import responseCacheService from '../services/ResponseCacheService';
+import API_CONFIG from '../services/api.config';
+import { CONNECTION_STATUS } from '../services/socketProtocol';
+
+// Error code of the notice shown when an answer never arrives
+export const NO_RESPONSE_ERROR_CODE = 'no_response';
+
+// How often pending requests are checked against the answer timeout
+const WATCHDOG_INTERVAL_MS = 5000;
+
+// Settled requests remembered for dropping late or replayed frames
+const SETTLED_REQUESTS_LIMIT = 200;
 
 /**
  * Helper function to log errors with detailed context
@@ -23,16 +40,351 @@ const logError = (hookName, method, error, context = {}) => {
     return errorInfo;
 };
 
+/**
+ * Cache a completed reply if this tab is hidden so it can be surfaced later
+ * @param {string} threadId - Thread ID
+ * @param {Object} answer - { reply, messageId?, replyTo?, stopped? }: final reply
+ *   text, server message ID (or the clientMessageId it answers), the user turn
+ *   it answers and whether it was stopped early
+ */
+const cacheIfHidden = (threadId, { reply, messageId, replyTo = null, stopped = false }) => {
+    if (!document.hidden) return;
+
+    console.log(`[useWebSocket.cacheIfHidden] Tab hidden, caching response for thread: ${threadId}`);
+    try {
+        responseCacheService.cacheResponse(threadId, {
+            threadId,
+            messageId,
+            replyTo,
+            reply,
+            stopped,
+            timestamp: Date.now()
+        });
+    } catch (cacheError) {
+        logError('useWebSocket', 'cacheIfHidden', cacheError, {
+            operation: 'caching response',
+            threadId
+        });
+    }
+};
+
+/**
+ * Remember a settled request, forgetting the oldest ones beyond
+ * SETTLED_REQUESTS_LIMIT (late frames only follow recent requests)
+ * @param {Set<string>} requests - Settled clientMessageIds, oldest first
+ * @param {string} clientMessageId - Request that was settled
+ */
+const rememberSettled = (requests, clientMessageId) => {
+    requests.delete(clientMessageId);
+    requests.add(clientMessageId);
+    if (requests.size > SETTLED_REQUESTS_LIMIT) {
+        requests.delete(requests.values().next().value);
+    }
+};
+
+/**
+ * Whether an answer is being generated in a session: a user turn is still
+ * waiting for it or a reply is still streaming. (isThinking alone is not
+ * enough - it is also set while a thread's history loads.)
+ * @param {Object} session - Chat session
+ * @returns {boolean}
+ */
+export const isAnswerInFlight = (session) =>
+    session.messages.some(m => (m.role === 'user' && m.pending) || m.isStreaming);
+
+/**
+ * Find the oldest user turn in a session that is still waiting for its answer.
+ * Used to route frames from servers that don't echo clientMessageId yet.
+ * @param {Object} session - Chat session
+ * @returns {string|null} - clientMessageId of the pending turn
+ */
+const findOldestPendingId = (session) => {
+    const pending = session.messages.find(m => m.role === 'user' && m.pending);
+    return pending?.clientMessageId ?? null;
+};
+
+/**
+ * Recompute the thinking indicator: a session is thinking while at least one
+ * pending user turn has no reply bubble yet. The tool checklist shown in the
+ * indicator is the one of the oldest such turn.
+ * @param {Object} session - Chat session
+ * @returns {Object} - Updated session
+ */
+export const withThinkingState = (session) => {
+    const waiting = session.messages.find(m =>
+        m.role === 'user' && m.pending &&
+        !session.messages.some(r => r.replyTo === m.clientMessageId)
+    );
+    const isThinking = !!waiting;
+    // Status text only describes the wait, so it goes with the indicator
+    return {
+        ...session,
+        isThinking,
+        statusText: isThinking ? session.statusText : null,
+        thinkingSteps: waiting?.toolSteps ?? null
+    };
+};
+
+/**
+ * Show what the assistant is doing (from status frames)
+ * next to the thinking indicator.
+ * @param {Object} session - Chat session
+ * @param {string} text - Status text
+ * @returns {Object} - Updated session
+ */
+const setStatusText = (session, text) => (
+    session.isThinking && text ? { ...session, statusText: text } : session
+);
+
+/**
+ * Update the reply to a user turn, inserting it right after that turn (and any
+ * earlier replies to it) when it doesn't exist yet. Without a correlation ID
+ * the last streaming bubble is used, or the reply is appended at the end.
+ * @param {Object} session - Chat session
+ * @param {string|null} replyTo - clientMessageId of the user turn
+ * @param {Function} update - (message) => message, applied to an existing reply
+ * @param {Function} create - () => message, used when there is no reply yet
+ * @returns {Object} - Updated session
+ */
+const upsertReply = (session, replyTo, update, create) => {
+    const messages = [...session.messages];
+
+    let index = -1;
+    if (replyTo) {
+        index = messages.findIndex(m => m.role === 'assistant' && m.replyTo === replyTo);
+    } else {
+        const last = messages[messages.length - 1];
+        if (last?.role === 'assistant' && last.isStreaming) index = messages.length - 1;
+    }
+
+    if (index !== -1) {
+        messages[index] = update(messages[index]);
+        return { ...session, messages };
+    }
+
+    let insertAt = messages.length;
+    const turnIndex = replyTo ? messages.findIndex(m => m.role === 'user' && m.clientMessageId === replyTo) : -1;
+    if (turnIndex !== -1) {
+        insertAt = turnIndex + 1;
+        while (insertAt < messages.length && messages[insertAt].replyTo === replyTo) insertAt++;
+    }
+
+    // Tools already consulted for the turn stay with its answer
+    const toolSteps = turnIndex !== -1 ? messages[turnIndex].toolSteps : undefined;
+    messages.splice(insertAt, 0, { replyTo, timestamp: Date.now(), ...(toolSteps && { toolSteps }), ...create() });
+    return { ...session, messages };
+};
+
+/**
+ * Record a tool_progress frame in the checklist of a turn. Steps are kept on
+ * the user turn while the answer is pending and on its reply once there is
+ * one, so the final answer shows which sources were consulted.
+ * @param {Object} session - Chat session
+ * @param {Object} frame - { tool, label?, state, callId?, step?, totalSteps? }
+ * @param {string|null} replyTo - clientMessageId of the user turn
+ * @returns {Object} - Updated session
+ */
+const applyToolProgress = (session, frame, replyTo) => {
+    if (!replyTo) return session;
+
+    const id = frame.callId ?? frame.step ?? frame.tool;
+    const updateSteps = (steps = []) => {
+        const index = steps.findIndex(s => s.id === id);
+        const previous = index === -1 ? {} : steps[index];
+        const step = {
+            ...previous,
+            id,
+            tool: frame.tool ?? previous.tool,
+            label: frame.label || previous.label || frame.tool,
+            state: frame.state || previous.state || TOOL_PROGRESS_STATES.STARTED,
+            step: frame.step ?? previous.step ?? null,
+            totalSteps: frame.totalSteps ?? previous.totalSteps ?? null
+        };
+        return index === -1 ? [...steps, step] : steps.map((s, i) => i === index ? step : s);
+    };
+
+    return withThinkingState({
+        ...session,
+        messages: session.messages.map(m =>
+            (m.role === 'user' && m.clientMessageId === replyTo) || (m.role === 'assistant' && m.replyTo === replyTo)
+                ? { ...m, toolSteps: updateSteps(m.toolSteps) }
+                : m
+        )
+    });
+};
+
+/**
+ * Mark a user turn as answered so it no longer counts as pending.
+ * @param {Object} session - Chat session
+ * @param {string|null} clientMessageId - ID of the user turn
+ * @returns {Object} - Updated session
+ */
+const settleTurn = (session, clientMessageId) => {
+    if (!clientMessageId) return session;
+    return {
+        ...session,
+        messages: session.messages.map(m =>
+            m.role === 'user' && m.clientMessageId === clientMessageId ? { ...m, pending: false } : m
+        )
+    };
+};
+
+/**
+ * Flag a user turn as waiting in the outbox (shown as a "pending" badge).
+ * @param {Object} session - Chat session
+ * @param {string} clientMessageId - ID of the user turn
+ * @param {boolean} queued - Whether the message is still in the outbox
+ * @returns {Object} - Updated session
+ */
+const markQueued = (session, clientMessageId, queued) => ({
+    ...session,
+    messages: session.messages.map(m =>
+        m.role === 'user' && m.clientMessageId === clientMessageId ? { ...m, queued } : m
+    )
+});
+
+/**
+ * Open an empty streaming bubble for an answer that has just started.
+ * The thinking indicator stays visible until the first delta arrives.
+ */
+const startStream = (session, replyTo) => withThinkingState(upsertReply(
+    session,
+    replyTo,
+    m => m,
+    () => ({ role: 'assistant', content: '', isStreaming: true })
+));
+
+/**
+ * Append a streamed chunk to the reply bubble, creating the bubble if the
+ * START frame was missed (e.g. tab opened mid-stream).
+ */
+const applyStreamDelta = (session, delta, replyTo) => withThinkingState(upsertReply(
+    session,
+    replyTo,
+    m => ({ ...m, content: m.content + delta }),
+    () => ({ role: 'assistant', content: delta, isStreaming: true })
+));
+
+/**
+ * Finalise the reply bubble with the full text from the END frame.
+ * `stopped` is set when the server ended the answer early on request.
+ */
+const finishStream = (session, reply, stopped, replyTo) => withThinkingState(settleTurn(upsertReply(
+    session,
+    replyTo,
+    m => ({ ...m, content: reply ?? m.content, isStreaming: false, stopped: !!stopped }),
+    () => ({ role: 'assistant', content: reply ?? '', stopped: !!stopped })
+), replyTo));
+
+/**
+ * Merge a reply cached while the tab was hidden into the turn it answers (a
+ * no-op when the session already has it). Replies without a turn are skipped
+ * so they can't show up twice.
+ */
+const mergeCachedReply = (session, { reply, replyTo, stopped }) => (
+    replyTo ? finishStream(session, reply, stopped, replyTo) : session
+);
+
+/**
+ * Attach a legacy single-frame answer ({ reply }) with the typing effect.
+ */
+const appendReply = (session, reply, replyTo) => withThinkingState(settleTurn(upsertReply(
+    session,
+    replyTo,
+    m => ({ ...m, content: reply, isStreaming: false, isNew: true }),
+    () => ({ role: 'assistant', content: reply, isNew: true })
+), replyTo));
+
+/**
+ * Answer a turn with the error the server reported for it: any half-streamed
+ * text is dropped and an error message (rendered as an ErrorBubble) takes its place.
+ * @param {Object} session - Chat session
+ * @param {Object} error - { code, message, retryable } from the error frame
+ * @param {string|null} replyTo - clientMessageId of the user turn
+ * @returns {Object} - Updated session
+ */
+const failTurn = (session, { code, message, retryable }, replyTo) => {
+    const messages = session.messages.filter(m =>
+        !(replyTo && m.replyTo === replyTo && (m.role === 'error' || (m.role === 'assistant' && m.isStreaming)))
+    );
+    const error = {
+        role: 'error',
+        code: code || null,
+        content: message || 'Something went wrong while answering.',
+        retryable: retryable !== false
+    };
+
+    return withThinkingState(settleTurn(upsertReply({ ...session, messages }, replyTo, m => m, () => error), replyTo));
+};
+
+/**
+ * Remove the "no response" notice of a turn once its answer shows up after all.
+ */
+const clearNoResponse = (session, replyTo) => (
+    replyTo && session.messages.some(m => m.role === 'error' && m.replyTo === replyTo && m.code === NO_RESPONSE_ERROR_CODE)
+        ? { ...session, messages: session.messages.filter(m => !(m.role === 'error' && m.replyTo === replyTo && m.code === NO_RESPONSE_ERROR_CODE)) }
+        : session
+);
+
+/**
+ * Mark answers stopped by the user, keeping any partial text.
+ * @param {Object} session - Chat session
+ * @param {Array<string>} clientMessageIds - User turns whose answers were stopped
+ * @returns {Object} - Updated session
+ */
+const stopTurns = (session, clientMessageIds) => withThinkingState(clientMessageIds.reduce(
+    (acc, id) => settleTurn(upsertReply(
+        acc,
+        id,
+        m => ({ ...m, isStreaming: false, stopped: true }),
+        () => ({ role: 'assistant', content: '', stopped: true })
+    ), id),
+    session
+));
+
+/**
+ * Drop the half-streamed answer to a turn that is being asked again
+ * (e.g. after the leader tab closed), so the new answer doesn't append to it.
+ * @param {Object} session - Chat session
+ * @param {string} clientMessageId - ID of the user turn
+ * @returns {Object} - Updated session
+ */
+const discardPartialReply = (session, clientMessageId) => withThinkingState({
+    ...session,
+    messages: session.messages.filter(m => !(m.role === 'assistant' && m.replyTo === clientMessageId && m.isStreaming))
+});
+
+/**
+ * Record activity for pending requests. Frames without a correlation ID
+ * count for every request of their thread.
+ * @param {Map} pendingRequests - clientMessageId -> request
+ * @param {string} threadId - Thread ID
+ * @param {string} [clientMessageId] - Request the frame belongs to
+ */
+const touchRequests = (pendingRequests, threadId, clientMessageId) => {
+    const now = Date.now();
+    pendingRequests.forEach((request, id) => {
+        if (clientMessageId ? id === clientMessageId : request.threadId === threadId) {
+            request.lastActivityAt = now;
+        }
+    });
+};
+
 /**
  * Custom hook to manage WebSocket connections for chat threads.
  * Uses SharedWebSocketService for cross-tab WebSocket sharing.
  * Caches responses for inactive tabs using ResponseCacheService.
+ * Answers that land in a background tab (or while the window is hidden)
+ * bump that session's unreadCount.
+ * A watchdog gives up on requests that get no frame at all for
+ * API_CONFIG.websocket.ANSWER_TIMEOUT_MS and shows a "no response" notice.
  * 
  * @param {Array} activeSessions - List of active chat session objects
  * @param {Function} setActiveSessions - State setter for sessions
  * @param {string} activeSessionId - ID of the currently visible session
  * @param {Function} scrollToBottom - Callback to scroll chat to bottom
- * @returns {Object} { sendMessage } - Function to send messages via WS
+ * 
+ * @returns {Object} { sendMessage, cancelMessage, cancelRequest } - Functions to send messages and stop answers via WS
  */
 
 export const useWebSocket = (activeSessions, setActiveSessions, activeSessionId, scrollToBottom) => {
@@ -42,63 +394,184 @@ export const useWebSocket = (activeSessions, setActiveSessions, activeSessionId,
     // Track tab visibility state
     const isTabVisibleRef = useRef(!document.hidden);
 
+    // Requests sent from this tab that are still waiting for an answer:
+    // clientMessageId -> { threadId, sentAt, lastActivityAt, queued }
+    const pendingRequestsRef = useRef(new Map());
+
+    // Requests stopped from this tab - late frames for them are ignored until
+    // the final one (bounded, see rememberSettled)
+    const stoppedRequestsRef = useRef(new Set());
+
+    // Requests whose final answer has been applied - duplicate answers are
+    // dropped (bounded, see rememberSettled)
+    const answeredRequestsRef = useRef(new Set());
+
+    // Latest sessions, for callbacks that must not change on every update
+    const activeSessionsRef = useRef(activeSessions);
+    useEffect(() => {
+        activeSessionsRef.current = activeSessions;
+    }, [activeSessions]);
+
     // Stable ID list for dependency tracking
     const activeThreadIds = activeSessions.map(s => s.id).join(',');
 
     /**
-     * Handle incoming WebSocket message
+     * Handle an incoming frame: local service events first, then server
+     * frames dispatched to a handler per frame type
      */
     const handleMessage = useCallback((threadId, data) => {
         const method = 'handleMessage';
         try {
+            // Connection-level frames (no thread to route to); thread list
+            // events are handled by ThreadSyncService
             if (!threadId) {
-                console.warn(`[useWebSocket.${method}] Received message without threadId:`, data);
+                if (data.type === FRAME_TYPES.ERROR) {
+                    console.error(`[useWebSocket.${method}] Server error: ${data.message}`, data);
+                } else {
+                    console.log(`[useWebSocket.${method}] Connection-level ${data.type} frame:`, data);
+                }
                 return;
             }
 
-            const reply = data.reply;
-            if (reply === undefined || reply === null) {
-                console.warn(`[useWebSocket.${method}] Received message without reply content for thread: ${threadId}`);
+            const { clientMessageId } = data;
+
+            // Any frame for a request proves it is still alive (keeps the watchdog quiet)
+            touchRequests(pendingRequestsRef.current, threadId, clientMessageId);
+
+            // Local outbox events toggle the "pending" badge on the user turn
+            if (data.type === OUTBOX_EVENT_TYPES.QUEUED || data.type === OUTBOX_EVENT_TYPES.FLUSHED) {
+                const queued = data.type === OUTBOX_EVENT_TYPES.QUEUED;
+                const request = pendingRequestsRef.current.get(clientMessageId);
+                if (request) request.queued = queued; // No timeout while waiting in the outbox
+                console.log(`[useWebSocket.${method}] Message ${clientMessageId} ${queued ? 'waiting in outbox' : 'sent from outbox'}`);
+                setActiveSessions(prev => prev.map(s => s.id === threadId ? markQueued(s, clientMessageId, queued) : s));
+                return;
             }
 
-            // Check if tab is hidden - if so, cache the response
-            if (document.hidden) {
-                console.log(`[useWebSocket.${method}] Tab hidden, caching response for thread: ${threadId}`);
-                try {
-                    responseCacheService.cacheResponse(threadId, {
-                        threadId,
-                        reply,
-                        timestamp: Date.now()
-                    });
-                } catch (cacheError) {
-                    logError('useWebSocket', method, cacheError, {
-                        operation: 'caching response',
-                        threadId
-                    });
-                }
+            // The message couldn't go into the outbox - it will never be sent
+            if (data.type === OUTBOX_EVENT_TYPES.FAILED) {
+                console.error(`[useWebSocket.${method}] Message ${clientMessageId} could not be queued: ${data.message}`);
+                pendingRequestsRef.current.delete(clientMessageId);
+                setActiveSessions(prev => prev.map(s => s.id === threadId
+                    ? failTurn(markQueued(s, clientMessageId, false), data, clientMessageId)
+                    : s));
+                return;
+            }
 
-                // Still update the session state (for when tab becomes visible)
-                setActiveSessions(prev => prev.map(s => s.id === threadId ? {
-                    ...s,
-                    isThinking: false,
-                    messages: [...s.messages, { role: 'assistant', content: reply, isNew: true, timestamp: Date.now() }]
-                } : s));
+            // The request was handed to a new leader and asked again
+            if (data.type === REQUEST_EVENT_TYPES.RESUBMITTED) {
+                console.log(`[useWebSocket.${method}] Request ${clientMessageId} resubmitted by new leader ${data.leaderTabId}`);
+                setActiveSessions(prev => prev.map(s => s.id === threadId ? discardPartialReply(s, clientMessageId) : s));
+                return;
+            }
+
+            if (clientMessageId && stoppedRequestsRef.current.has(clientMessageId)) {
+                console.log(`[useWebSocket.${method}] Ignoring frame for stopped request: ${clientMessageId}`);
+                // Its last frame: only replays can follow, which the answered check drops
+                if (FINAL_FRAME_TYPES.has(data.type)) {
+                    stoppedRequestsRef.current.delete(clientMessageId);
+                    rememberSettled(answeredRequestsRef.current, clientMessageId);
+                }
+                return;
+            }
 
+            if (clientMessageId && answeredRequestsRef.current.has(clientMessageId)) {
+                console.log(`[useWebSocket.${method}] Dropping duplicate frame for answered request: ${clientMessageId}`);
                 return;
             }
 
-            // Tab is visible - update session normally
-            console.log(`[useWebSocket.${method}] Processing message for thread: ${threadId}`);
-            setActiveSessions(prev => prev.map(s => s.id === threadId ? {
+            // Frames without a correlation ID go to the oldest unanswered turn.
+            // An answer arriving after all replaces the "no response" notice.
+            const route = (update) => setActiveSessions(prev => prev.map(s => {
+                if (s.id !== threadId) return s;
+                const replyTo = clientMessageId ?? findOldestPendingId(s);
+                return update(clearNoResponse(s, replyTo), replyTo);
+            }));
+            const isActiveAndVisible = threadId === activeSessionId && !document.hidden;
+            // Answers for another tab, or while the window is hidden, count as unread
+            const markUnread = () => setActiveSessions(prev => prev.map(s => s.id === threadId ? {
                 ...s,
-                isThinking: false,
-                messages: [...s.messages, { role: 'assistant', content: reply, isNew: true, timestamp: Date.now() }]
+                unreadCount: (s.unreadCount || 0) + 1
             } : s));
 
-            // Scroll to bottom if this is the active session
-            if (threadId === activeSessionId) {
-                setTimeout(scrollToBottom, 50);
+            // One handler per frame type
+            const handlers = {
+                [FRAME_TYPES.START]: () => {
+                    route((s, replyTo) => startStream(s, replyTo));
+                },
+
+                [FRAME_TYPES.DELTA]: () => {
+                    route((s, replyTo) => applyStreamDelta(s, data.delta || '', replyTo));
+                    if (isActiveAndVisible) scrollToBottom();
+                },
+
+                [FRAME_TYPES.END]: () => {
+                    console.log(`[useWebSocket.${method}] Stream finished for thread: ${threadId}`);
+                    cacheIfHidden(threadId, {
+                        reply: data.reply,
+                        messageId: data.messageId ?? clientMessageId,
+                        replyTo: clientMessageId,
+                        stopped: data.stopped
+                    });
+                    route((s, replyTo) => finishStream(s, data.reply, data.stopped, replyTo));
+                    if (!isActiveAndVisible && !data.stopped) markUnread();
+                    if (isActiveAndVisible) setTimeout(scrollToBottom, 50);
+                },
+
+                // Complete answer in one frame (also what v1 servers send)
+                [FRAME_TYPES.REPLY]: () => {
+                    const reply = data.reply;
+                    if (reply === undefined || reply === null) {
+                        console.warn(`[useWebSocket.${method}] Received message without reply content for thread: ${threadId}`);
+                    }
+
+                    // Hidden tabs cache the response too (the session is still
+                    // updated for when the tab becomes visible)
+                    cacheIfHidden(threadId, { reply, messageId: data.messageId ?? clientMessageId, replyTo: clientMessageId });
+                    console.log(`[useWebSocket.${method}] Processing message for thread: ${threadId}`);
+                    route((s, replyTo) => appendReply(s, reply, replyTo));
+                    if (!isActiveAndVisible) markUnread();
+                    if (isActiveAndVisible) setTimeout(scrollToBottom, 50);
+                },
+
+                [FRAME_TYPES.ERROR]: () => {
+                    console.error(`[useWebSocket.${method}] Request failed for thread ${threadId}: ${data.message}`, data);
+                    route((s, replyTo) => failTurn(s, data, replyTo));
+                    if (isActiveAndVisible) setTimeout(scrollToBottom, 50);
+                },
+
+                [FRAME_TYPES.STATUS]: () => {
+                    route(s => setStatusText(s, data.message));
+                },
+
+                [FRAME_TYPES.TOOL_PROGRESS]: () => {
+                    console.log(`[useWebSocket.${method}] Tool ${data.tool} ${data.state} for thread: ${threadId}`);
+                    route((s, replyTo) => applyToolProgress(s, data, replyTo));
+                    if (isActiveAndVisible) scrollToBottom();
+                },
+
+                // Applied by useChatSessions and useThreads (see useTitleUpdates)
+                [FRAME_TYPES.TITLE_UPDATE]: () => {},
+
+                // Thread list events - applied by useThreads via ThreadSyncService
+                [FRAME_TYPES.THREAD_CREATED]: () => {},
+                [FRAME_TYPES.THREAD_UPDATED]: () => {},
+                [FRAME_TYPES.THREAD_DELETED]: () => {}
+            };
+
+            const handler = handlers[data.type];
+            if (!handler) {
+                // Newer server - keep working with the frames we know
+                console.log(`[useWebSocket.${method}] Ignoring unsupported frame type "${data.type}" (v${data.v})`);
+                return;
             }
+
+            if (clientMessageId && FINAL_FRAME_TYPES.has(data.type)) {
+                rememberSettled(answeredRequestsRef.current, clientMessageId);
+                pendingRequestsRef.current.delete(clientMessageId);
+            }
+
+            handler();
         } catch (error) {
             logError('useWebSocket', method, error, {
                 threadId,
@@ -116,19 +589,18 @@ export const useWebSocket = (activeSessions, setActiveSessions, activeSessionId,
         try {
             console.log(`[useWebSocket.${method}] Loading cached responses for ${activeSessions.length} sessions`);
 
-            activeSessions.forEach(session => {
+            const loads = activeSessions.map(async session => {
                 try {
-                    const cachedResponses = responseCacheService.getAndClearCache(session.id);
+                    const cachedResponses = await responseCacheService.getAndClearCache(session.id);
 
                     if (cachedResponses.length > 0) {
                         console.log(`[useWebSocket.${method}] Loaded ${cachedResponses.length} cached responses for thread: ${session.id}`);
 
-                        // Messages should already be in state from when they were cached
-                        // But let's ensure isThinking is false
-                        setActiveSessions(prev => prev.map(s => s.id === session.id ? {
-                            ...s,
-                            isThinking: false
-                        } : s));
+                        // Usually already in state from when they arrived - merging
+                        // fills in whatever the session missed
+                        setActiveSessions(prev => prev.map(s => s.id === session.id
+                            ? withThinkingState(cachedResponses.reduce(mergeCachedReply, s))
+                            : s));
                     }
                 } catch (sessionError) {
                     logError('useWebSocket', method, sessionError, {
@@ -139,7 +611,7 @@ export const useWebSocket = (activeSessions, setActiveSessions, activeSessionId,
             });
 
             // Scroll to bottom after loading cached messages
-            setTimeout(scrollToBottom, 100);
+            Promise.all(loads).then(() => setTimeout(scrollToBottom, 100));
         } catch (error) {
             logError('useWebSocket', method, error, {
                 sessionsCount: activeSessions.length
@@ -180,6 +652,45 @@ export const useWebSocket = (activeSessions, setActiveSessions, activeSessionId,
         };
     }, [handleMessage]);
 
+    /**
+     * Answer watchdog: a request with no frame for too long is marked as
+     * "no response" so the loader doesn't spin forever. Only this tab's own
+     * requests are watched - frames reach every tab, so it works the same
+     * whether this tab leads, follows or talks to the shared worker.
+     */
+    useEffect(() => {
+        const timeoutMs = API_CONFIG.websocket.ANSWER_TIMEOUT_MS;
+        if (!timeoutMs) return;
+
+        const interval = setInterval(() => {
+            const pending = pendingRequestsRef.current;
+            if (pending.size === 0) return;
+
+            // Nothing can arrive while the socket is down - reconnect handling owns that wait
+            if (sharedWebSocketService.getConnectionState().status !== CONNECTION_STATUS.OPEN) {
+                const now = Date.now();
+                pending.forEach(request => { request.lastActivityAt = now; });
+                return;
+            }
+
+            const now = Date.now();
+            pending.forEach((request, clientMessageId) => {
+                if (request.queued || now - request.lastActivityAt < timeoutMs) return;
+
+                const waitedSeconds = Math.round((now - request.sentAt) / 1000);
+                console.warn(`[useWebSocket.watchdog] No response for request ${clientMessageId} in thread ${request.threadId} after ${waitedSeconds}s`);
+                pending.delete(clientMessageId);
+
+                setActiveSessions(prev => prev.map(s => s.id === request.threadId ? failTurn(s, {
+                    code: NO_RESPONSE_ERROR_CODE,
+                    message: `No response after ${waitedSeconds} seconds. The assistant may be busy - retry or cancel the question.`
+                }, clientMessageId) : s));
+            });
+        }, WATCHDOG_INTERVAL_MS);
+
+        return () => clearInterval(interval);
+    }, [setActiveSessions]);
+
     /**
      * Connect/disconnect threads based on active sessions
      */
@@ -222,10 +733,11 @@ export const useWebSocket = (activeSessions, setActiveSessions, activeSessionId,
     /**
      * Send message via shared WebSocket service
      * @param {string} threadId - Thread ID
-     * @param {string} text - Message text
+     * @param {string} text - Message text or JSON payload
+     * @param {string} [clientMessageId] - Correlation ID of the user turn, echoed back by the server
      * @returns {boolean} - Whether message was sent
      */
-    const sendMessage = useCallback((threadId, text) => {
+    const sendMessage = useCallback((threadId, text, clientMessageId) => {
         const method = 'sendMessage';
         try {
             if (!threadId) {
@@ -236,22 +748,98 @@ export const useWebSocket = (activeSessions, setActiveSessions, activeSessionId,
                 console.warn(`[useWebSocket.${method}] Sending empty message to thread: ${threadId}`);
             }
 
-            console.log(`[useWebSocket.${method}] Sending message to thread: ${threadId}`);
+            console.log(`[useWebSocket.${method}] Sending message ${clientMessageId || ''} to thread: ${threadId}`);
             const result = sharedWebSocketService.sendMessage(threadId, text);
 
             if (!result) {
                 console.error(`[useWebSocket.${method}] Failed to send message - WebSocket not ready for thread: ${threadId}`);
+            } else if (clientMessageId) {
+                const now = Date.now();
+                pendingRequestsRef.current.set(clientMessageId, { threadId, sentAt: now, lastActivityAt: now, queued: false });
             }
 
             return result;
         } catch (error) {
             logError('useWebSocket', method, error, {
                 threadId,
+                clientMessageId,
                 textLength: text?.length
             });
             return false;
         }
     }, []);
 
-    return { sendMessage };
+    /**
+     * Stop the answers currently being generated for a thread
+     * @param {string} threadId - Thread ID
+     * @returns {boolean} - Whether the cancel frames were sent
+     */
+    const cancelMessage = useCallback((threadId) => {
+        const method = 'cancelMessage';
+        try {
+            if (!threadId) {
+                console.error(`[useWebSocket.${method}] Cannot cancel: threadId is required`);
+                return false;
+            }
+
+            const ids = [...pendingRequestsRef.current.entries()]
+                .filter(([, request]) => request.threadId === threadId)
+                .map(([id]) => id);
+
+            console.log(`[useWebSocket.${method}] Stopping ${ids.length} answer(s) for thread: ${threadId}`);
+
+            // Answer asked from another tab: stop whatever is streaming in the thread
+            if (ids.length === 0) {
+                const session = activeSessionsRef.current.find(s => s.id === threadId);
+                if (!session || !isAnswerInFlight(session)) {
+                    console.log(`[useWebSocket.${method}] Nothing in flight for thread: ${threadId}`);
+                    return false;
+                }
+
+                const waitingIds = session.messages.filter(m => m.role === 'user' && m.pending).map(m => m.clientMessageId);
+                setActiveSessions(prev => prev.map(s => s.id === threadId ? stopTurns(s, waitingIds.length > 0 ? waitingIds : [null]) : s));
+                return sharedWebSocketService.cancelGeneration(threadId);
+            }
+
+            ids.forEach(id => {
+                rememberSettled(stoppedRequestsRef.current, id);
+                pendingRequestsRef.current.delete(id);
+            });
+            setActiveSessions(prev => prev.map(s => s.id === threadId ? stopTurns(s, ids) : s));
+
+            return ids.every(id => sharedWebSocketService.cancelGeneration(threadId, id));
+        } catch (error) {
+            logError('useWebSocket', method, error, { threadId });
+            return false;
+        }
+    }, [setActiveSessions]);
+
+    /**
+     * Stop a single request (e.g. one that timed out): late frames for it are
+     * ignored, the server is asked to cancel and the turn is marked stopped
+     * @param {string} threadId - Thread ID
+     * @param {string} clientMessageId - Request to stop
+     * @returns {boolean} - Whether the cancel frame was sent
+     */
+    const cancelRequest = useCallback((threadId, clientMessageId) => {
+        const method = 'cancelRequest';
+        try {
+            if (!threadId || !clientMessageId) {
+                console.error(`[useWebSocket.${method}] threadId and clientMessageId are required`);
+                return false;
+            }
+
+            console.log(`[useWebSocket.${method}] Cancelling request ${clientMessageId} in thread: ${threadId}`);
+            rememberSettled(stoppedRequestsRef.current, clientMessageId);
+            pendingRequestsRef.current.delete(clientMessageId);
+            setActiveSessions(prev => prev.map(s => s.id === threadId ? stopTurns(clearNoResponse(s, clientMessageId), [clientMessageId]) : s));
+
+            return sharedWebSocketService.cancelGeneration(threadId, clientMessageId);
+        } catch (error) {
+            logError('useWebSocket', method, error, { threadId, clientMessageId });
+            return false;
+        }
+    }, [setActiveSessions]);
+
+    return { sendMessage, cancelMessage, cancelRequest };
 };
\ No newline at end of file
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { FaChevronLeft } from "react-icons/fa6";
+import { FaChevronLeft, FaClock, FaShip } from "react-icons/fa6";
+import { v4 as uuidv4 } from 'uuid';
 
 import Sidebar from '../components/Sidebar';
 import Header from '../components/Header';
@@ -10,18 +11,27 @@ import SearchPanel from '../components/SearchPanel';
 import ChatTabs from '../components/ChatTabs';
 import ThreadSwitcher from '../components/ThreadSwitcher';
 import LogisticsLoader from '../components/LogisticsLoader';
-import MessageContent, { TypingMessage } from '../components/MessageContent';
+import MessageContent, { TypingMessage, StreamingMessage } from '../components/MessageContent';
 import ContextPanel from '../components/ContextPanel';
+import ErrorBubble from '../components/ErrorBubble';
+import ToolSteps from '../components/ToolSteps';
+import ReLoginDialog from '../components/ReLoginDialog';
+import Avatar from '../components/Avatar';
+import OfflineCopyBanner from '../components/OfflineCopyBanner';
+import RestoreSessionPrompt from '../components/RestoreSessionPrompt';
 
 // Hooks
 import { useThreads } from '../hooks/useThreads';
 import { useChatSessions } from '../hooks/useChatSessions';
-import { useWebSocket } from '../hooks/useWebSocket';
+import { useWebSocket, isAnswerInFlight, withThinkingState, NO_RESPONSE_ERROR_CODE } from '../hooks/useWebSocket';
 import useKeyboardVisibility from '../hooks/useKeyboardVisibility';
+import { useAuth } from '../hooks/useAuth';
+import { useUnreadIndicators } from '../hooks/useUnreadIndicators';
 
 // Services
 import ChatService from '../services/chat.service';
 import API_CONFIG from '../services/api.config';
+import { AUTH_STATUS } from '../services/AuthService';
 
 /**
  * Helper function to log errors with detailed context
@@ -70,8 +80,11 @@ const Layout = () => {
 
     const closeSearchPanel = () => setSearchPanelOpen(false);
 
+    // --- Auth (profile for avatars, re-login when the session can't be refreshed) ---
+    const { status: authStatus, user, profile, login, loginWithSso, ssoEnabled } = useAuth();
+
     // --- 1. Thread Management Hook ---
-    const { threads, deleteThread } = useThreads();
+    const { threads, deleteThread, isOffline } = useThreads();
 
     // --- 2. Chat Session Management Hook ---
     const {
@@ -84,7 +97,11 @@ const Layout = () => {
         handleNewChat,
         handleTabClick,
         handleTabClose,
-        handleLoadChat
+        handleLoadChat,
+        handleReloadChat,
+        restorePrompt,
+        handleRestoreSnapshot,
+        dismissRestorePrompt
     } = useChatSessions(threads, closeMobileSidebar);
 
     // --- Keyboard Visibility Hook (Mobile) ---
@@ -96,6 +113,7 @@ const Layout = () => {
     const prevSessionIdRef = useRef(activeSessionId);
     const lastScrollTimeRef = useRef(0);
     const isStickyRef = useRef(true);
+    const scrollRestoredRef = useRef(new Set()); // Restored tabs whose saved scroll position was applied
 
     const handleScroll = () => {
         if (!chatContainerRef.current) return;
@@ -123,7 +141,10 @@ const Layout = () => {
     };
 
     // --- 3. WebSocket Management Hook ---
-    const { sendMessage } = useWebSocket(activeSessions, setActiveSessions, activeSessionId, scrollToBottom);
+    const { sendMessage, cancelMessage, cancelRequest } = useWebSocket(activeSessions, setActiveSessions, activeSessionId, scrollToBottom);
+
+    // An answer is in flight while we wait for it or while it is still streaming
+    const isGenerating = isAnswerInFlight(activeSession);
 
     // Auto-scroll logic when session changes or thinking starts
     useEffect(() => {
@@ -137,10 +158,18 @@ const Layout = () => {
                 });
             }
             prevSessionIdRef.current = activeSessionId;
+        } else if (activeSession.restoreScroll && activeSession.messages.length > 0 && !scrollRestoredRef.current.has(activeSessionId)) {
+            // A tab restored after reload: its history just arrived, go back to where the user was
+            scrollRestoredRef.current.add(activeSessionId);
+            requestAnimationFrame(() => {
+                if (chatContainerRef.current) {
+                    chatContainerRef.current.scrollTop = activeSession.scrollPosition || 0;
+                }
+            });
         } else {
             scrollToBottom();
         }
-    }, [activeSession.messages.length, activeSession.isThinking, activeSessionId]);
+    }, [activeSession.messages.length, activeSession.isThinking, activeSession.restoreScroll, activeSessionId]);
 
 
     // --- Handlers ---
@@ -151,6 +180,9 @@ const Layout = () => {
         handleTabClick(id);
     };
 
+    // --- Unread answers: title/favicon badge and desktop notifications ---
+    const totalUnread = useUnreadIndicators(activeSessions, setActiveSessions, activeSessionId, onTabClick);
+
     const onNewChatWithScroll = () => {
         saveCurrentScroll();
         handleNewChat();
@@ -167,8 +199,66 @@ const Layout = () => {
         updateActiveSession({ messages: newMessages });
     };
 
+    /**
+     * Replace a turn's error (if any) with a new one. Errors are their own
+     * message type so they render as an ErrorBubble, not assistant prose.
+     */
+    const failTurnLocally = (clientMessageId, code, content) => {
+        // Other turns of the thread may still be waiting for their answers
+        setActiveSessions(prev => prev.map(s => s.id === activeSessionId ? withThinkingState({
+            ...s,
+            messages: [
+                ...s.messages
+                    .filter(m => !(m.role === 'error' && m.replyTo === clientMessageId))
+                    .map(m => m.clientMessageId === clientMessageId ? { ...m, pending: false } : m),
+                { role: 'error', code, content, retryable: true, replyTo: clientMessageId, timestamp: Date.now() }
+            ]
+        }) : s));
+    };
+
+    /**
+     * Serialize a user turn and send it over the shared socket
+     * @returns {boolean} - Whether the message was handed to the socket
+     */
+    const sendTurn = (clientMessageId, text, imageUrl) => {
+        const method = 'sendTurn';
+        try {
+            // Prepare payload - always JSON with language
+            let payload;
+            try {
+                payload = JSON.stringify({
+                    clientMessageId,
+                    content: text,
+                    image: imageUrl || null,
+                    language: selectedLang.name  // e.g., "Hindi", "English (IN)"
+                });
+            } catch (serializeError) {
+                logError('Layout', method, serializeError, {
+                    operation: 'JSON serialization',
+                    text: text?.substring(0, 100),
+                    language: selectedLang?.name
+                });
+                throw serializeError;
+            }
+
+            console.log(`[Layout.${method}] Sending WebSocket message for thread: ${activeSessionId}`);
+            const sent = sendMessage(activeSessionId, payload, clientMessageId);
+
+            if (!sent) {
+                console.error(`[Layout.${method}] Failed to send message - WebSocket not connected`);
+                failTurnLocally(clientMessageId, 'connection_failed', 'Connection failed. Please try again.');
+            }
+            return sent;
+        } catch (error) {
+            logError('Layout', method, error, { activeSessionId, clientMessageId });
+            failTurnLocally(clientMessageId, 'send_failed', `Could not send message. ${error.message}`);
+            return false;
+        }
+    };
+
     const handleSend = async (text) => {
         const method = 'handleSend';
+        const clientMessageId = uuidv4();
         try {
             if (!text.trim() && !activeSession.selectedFile) {
                 console.log(`[Layout.${method}] Empty message, skipping send`);
@@ -178,7 +268,7 @@ const Layout = () => {
             console.log(`[Layout.${method}] Sending message for session: ${activeSessionId}`);
 
             const timestamp = Date.now();
-            let userMsg = { role: 'user', content: text, timestamp };
+            let userMsg = { role: 'user', content: text, timestamp, clientMessageId, pending: true };
 
             // Handle Image Upload
             let uploadedImageUrl = null;
@@ -192,6 +282,8 @@ const Layout = () => {
                     // Upload to backend
                     const response = await ChatService.uploadImage(activeSession.selectedFile);
                     uploadedImageUrl = response.url;
+                    // Kept so the question can be retried with the same attachment
+                    userMsg.uploadedImage = uploadedImageUrl;
                     console.log(`[Layout.${method}] Image uploaded successfully: ${uploadedImageUrl}`);
                 } catch (uploadError) {
                     logError('Layout', method, uploadError, {
@@ -217,34 +309,7 @@ const Layout = () => {
 
             setTimeout(() => scrollToBottom(true), 10);
 
-            // Prepare payload - always JSON with language
-            let payload;
-            try {
-                payload = JSON.stringify({
-                    content: text,
-                    image: uploadedImageUrl || null,
-                    language: selectedLang.name  // e.g., "Hindi", "English (IN)"
-                });
-            } catch (serializeError) {
-                logError('Layout', method, serializeError, {
-                    operation: 'JSON serialization',
-                    text: text?.substring(0, 100),
-                    language: selectedLang?.name
-                });
-                throw serializeError;
-            }
-
-            console.log(`[Layout.${method}] Sending WebSocket message for thread: ${activeSessionId}`);
-            const sent = sendMessage(activeSessionId, payload);
-
-            if (!sent) {
-                console.error(`[Layout.${method}] Failed to send message - WebSocket not connected`);
-                setActiveSessions(prev => prev.map(s => s.id === activeSessionId ? {
-                    ...s,
-                    isThinking: false,
-                    messages: [...s.messages, { role: 'assistant', content: "Error: Connection failed. Please try again.", isNew: true, timestamp: Date.now() }]
-                } : s));
-            }
+            sendTurn(clientMessageId, text, uploadedImageUrl);
         } catch (error) {
             logError('Layout', method, error, {
                 activeSessionId,
@@ -252,14 +317,56 @@ const Layout = () => {
                 hasFile: !!activeSession.selectedFile
             });
             // Show error to user
+            failTurnLocally(clientMessageId, 'send_failed', `Could not send message. ${error.message}`);
+        }
+    };
+
+    /**
+     * Ask a failed question again. The turn gets a new clientMessageId so the
+     * server treats it as a fresh request rather than a duplicate.
+     * @param {Object} errorMsg - The error message being retried
+     */
+    const handleRetry = (errorMsg) => {
+        const method = 'handleRetry';
+        try {
+            const turn = activeSession.messages.find(m => m.role === 'user' && m.clientMessageId === errorMsg.replyTo);
+            if (!turn) {
+                console.warn(`[Layout.${method}] Original question not found for: ${errorMsg.replyTo}`);
+                return;
+            }
+
+            // A timed-out request may still be running - stop it so two answers don't race
+            if (errorMsg.code === NO_RESPONSE_ERROR_CODE) {
+                cancelRequest(activeSessionId, turn.clientMessageId);
+            }
+
+            const clientMessageId = uuidv4();
+            console.log(`[Layout.${method}] Retrying question ${turn.clientMessageId} as ${clientMessageId}`);
+
             setActiveSessions(prev => prev.map(s => s.id === activeSessionId ? {
                 ...s,
-                isThinking: false,
-                messages: [...s.messages, { role: 'assistant', content: `Error: Could not send message. ${error.message}`, isNew: true, timestamp: Date.now() }]
+                isThinking: true,
+                thinkingSteps: null,
+                messages: s.messages
+                    .filter(m => m.replyTo !== turn.clientMessageId)
+                    .map(m => m.role === 'user' && m.clientMessageId === turn.clientMessageId
+                        ? { ...m, clientMessageId, pending: true, toolSteps: undefined }
+                        : m)
             } : s));
+
+            // History messages carry the server image path, fresh ones a blob URL plus the uploaded path
+            const imageUrl = turn.uploadedImage ?? (turn.image && !turn.image.startsWith('blob:') ? turn.image : null);
+            sendTurn(clientMessageId, turn.content, imageUrl);
+        } catch (error) {
+            logError('Layout', method, error, { activeSessionId, replyTo: errorMsg?.replyTo });
         }
     };
 
+    const handleStop = () => {
+        console.log(`[Layout.handleStop] Stopping answer for session: ${activeSessionId}`);
+        cancelMessage(activeSessionId);
+    };
+
     const handleFeatureClick = (text) => {
         updateActiveSession({ inputValue: text });
         const inputElement = document.querySelector('.chat-input');
@@ -410,6 +517,7 @@ const Layout = () => {
                 onLoadChat={onLoadChatWithScroll}
                 onDeleteChat={handleDeleteChatProxy}
                 threads={threads}
+                isOffline={isOffline}
                 currThreadId={activeSessionId}
                 onFAQClick={() => setShowFAQ(!showFAQ)}
                 showFAQ={showFAQ}
@@ -421,6 +529,7 @@ const Layout = () => {
                     selectedLang={selectedLang}
                     onToggleLang={() => setLangOpen(!langOpen)}
                     onOpenThreadSwitcher={() => setThreadSwitcherOpen(true)}
+                    unreadCount={totalUnread}
                     onNewChat={onNewChatWithScroll}
                 />
 
@@ -438,6 +547,15 @@ const Layout = () => {
                 {/* Main Content Area (Chat Only) - Updates based on activeSession */}
                 <div className={`chat-area flex-1 flex flex-col overflow-hidden bg-[var(--bg-secondary)] transition-colors duration-800 relative ${searchPanelOpen ? 'blur-[3px] pointer-events-none' : ''}`}>
 
+                    {restorePrompt && (
+                        <RestoreSessionPrompt
+                            savedAt={restorePrompt.savedAt}
+                            tabCount={restorePrompt.sessions.length}
+                            onRestore={handleRestoreSnapshot}
+                            onDismiss={dismissRestorePrompt}
+                        />
+                    )}
+
                     {/* Scrolling Content Wrapper */}
                     <div ref={chatContainerRef} onScroll={handleScroll} className="flex-1 overflow-y-auto w-full h-full relative">
                         {activeSession.messages.length === 0 ? (
@@ -466,6 +584,8 @@ const Layout = () => {
                                             inputValue={activeSession.inputValue}
                                             setInputValue={(val) => updateActiveSession({ inputValue: val })}
                                             onSend={handleSend}
+                                            onStop={handleStop}
+                                            isGenerating={isGenerating}
                                             mode="bottom"
                                             selectedFile={activeSession.selectedFile}
                                             setSelectedFile={(file) => updateActiveSession({ selectedFile: file })}
@@ -477,19 +597,43 @@ const Layout = () => {
                             /* Chat State - Scrolling Messages */
                             <div className="flex flex-col min-h-full">
                                 <div className="flex-1 w-full max-w-5xl mx-auto px-2 md:px-6 py-4 space-y-3 md:space-y-4 pb-32">
-                                    {activeSession.messages.map((msg, idx) => (
+                                    {activeSession.messages.map((msg, idx) => (msg.isStreaming && !msg.content) ? null : msg.role === 'error' ? (
+                                        <div key={idx} className="flex gap-2 md:gap-4 justify-start">
+                                            <div className="hidden md:flex w-10 h-10 rounded-full bg-[var(--bg-card)] border-2 border-red-500/60 items-center justify-center text-red-500 font-bold text-sm shrink-0 mt-1">
+                                                !
+                                            </div>
+                                            <ErrorBubble
+                                                content={msg.content}
+                                                code={msg.code}
+                                                onRetry={msg.retryable && msg.replyTo ? () => handleRetry(msg) : undefined}
+                                                onCancel={msg.code === NO_RESPONSE_ERROR_CODE ? () => cancelRequest(activeSessionId, msg.replyTo) : undefined}
+                                            />
+                                        </div>
+                                    ) : (
                                         <div key={idx} className={`flex gap-2 md:gap-4 ${msg.role === 'user' ? 'justify-end' : 'justify-start'}`}>
                                             {msg.role === 'assistant' && (
-                                                <div className="hidden md:flex w-10 h-10 rounded-full bg-[var(--bg-card)] border-2 border-[var(--text-secondary)] items-center justify-center text-[var(--text-primary)] font-bold text-sm shrink-0 mt-1">
-                                                    A
+                                                <div className="hidden md:flex w-10 h-10 rounded-full bg-[var(--bg-card)] border-2 border-[var(--text-secondary)] items-center justify-center text-[var(--brand-primary)] text-sm shrink-0 mt-1" title="EximGPT">
+                                                    <FaShip />
                                                 </div>
                                             )}
                                             <div className={`px-3 py-2.5 md:p-4 rounded-2xl leading-relaxed text-[13px] sm:text-sm md:text-base ${msg.role === 'user'
                                                 ? 'max-w-[70%] md:max-w-[80%] bg-[var(--brand-primary)]/15 border border-[var(--brand-primary)]/20 text-[var(--text-primary)] rounded-tr-sm'
                                                 : 'w-full md:max-w-[85%] bg-transparent text-[var(--text-primary)] rounded-tl-sm'
                                                 }`}>
+                                                {msg.role === 'assistant' && msg.toolSteps?.length > 0 && (
+                                                    <details className="mb-2" open={msg.isStreaming}>
+                                                        <summary className="cursor-pointer select-none text-xs font-semibold text-[var(--text-secondary)] hover:text-[var(--text-primary)]">
+                                                            Sources consulted ({msg.toolSteps.length})
+                                                        </summary>
+                                                        <div className="mt-1.5 pl-1">
+                                                            <ToolSteps steps={msg.toolSteps} live={msg.isStreaming} />
+                                                        </div>
+                                                    </details>
+                                                )}
                                                 {msg.role === 'assistant' ? (
-                                                    msg.isNew ? (
+                                                    msg.isStreaming ? (
+                                                        <StreamingMessage content={msg.content} onLinkClick={handleLinkClick} />
+                                                    ) : msg.isNew ? (
                                                         <TypingMessage
                                                             content={msg.content}
                                                             timestamp={msg.timestamp}
@@ -510,38 +654,60 @@ const Layout = () => {
                                                             />
                                                         )}
                                                         {msg.content}
+                                                        {msg.queued && (
+                                                            <div className="mt-1 flex items-center justify-end gap-1 text-[10px] font-semibold uppercase tracking-wide text-[var(--text-secondary)]" title="Will be sent when the connection is back">
+                                                                <FaClock className="text-[9px]" /> Pending
+                                                            </div>
+                                                        )}
                                                     </>
                                                 )}
+                                                {msg.stopped && (
+                                                    <div className="mt-2 text-xs italic text-[var(--text-secondary)]">
+                                                        Generation stopped
+                                                    </div>
+                                                )}
                                             </div>
                                             {msg.role === 'user' && (
-                                                <div className="hidden md:flex w-10 h-10 rounded-full bg-[var(--bg-card)] border-2 border-[var(--text-secondary)] items-center justify-center text-[var(--text-primary)] font-bold text-sm shrink-0 mt-1">
-                                                    U
-                                                </div>
+                                                <Avatar
+                                                    src={profile?.avatarUrl}
+                                                    name={profile?.name}
+                                                    className="hidden md:flex w-10 h-10 bg-[var(--bg-card)] border-2 border-[var(--text-secondary)] text-[var(--text-primary)] font-bold text-sm mt-1"
+                                                />
                                             )}
                                         </div>
                                     ))}
                                     {activeSession.isThinking && (
                                         <div className="flex gap-4 justify-start">
-                                            <div className="hidden md:flex w-10 h-10 rounded-full bg-[var(--bg-card)] border-2 border-[var(--text-secondary)] items-center justify-center text-[var(--text-primary)] font-bold text-sm shrink-0 mt-1">
-                                                A
+                                            <div className="hidden md:flex w-10 h-10 rounded-full bg-[var(--bg-card)] border-2 border-[var(--text-secondary)] items-center justify-center text-[var(--brand-primary)] text-sm shrink-0 mt-1" title="EximGPT">
+                                                <FaShip />
                                             </div>
-                                            <LogisticsLoader />
+                                            <LogisticsLoader status={activeSession.statusText} steps={activeSession.thinkingSteps} />
                                         </div>
                                     )}
                                     <div ref={messagesEndRef} />
                                 </div>
 
-                                {/* Fixed Bottom Input for Chat Mode */}
+                                {/* Fixed Bottom Input for Chat Mode (offline copies are read-only) */}
                                 <div className="sticky bottom-0 w-full bg-gradient-to-t from-[var(--bg-secondary)] via-[var(--bg-secondary)] to-transparent pt-10 pb-6 px-4">
                                     <div className="max-w-5xl mx-auto">
-                                        <InputArea
-                                            inputValue={activeSession.inputValue}
-                                            setInputValue={(val) => updateActiveSession({ inputValue: val })}
-                                            onSend={handleSend}
-                                            mode="bottom"
-                                            selectedFile={activeSession.selectedFile}
-                                            setSelectedFile={(file) => updateActiveSession({ selectedFile: file })}
-                                        />
+                                        {activeSession.readOnly ? (
+                                            <OfflineCopyBanner
+                                                savedAt={activeSession.mirroredAt}
+                                                isRetrying={!!activeSession.isSyncing}
+                                                onRetry={() => handleReloadChat(activeSessionId)}
+                                            />
+                                        ) : (
+                                            <InputArea
+                                                inputValue={activeSession.inputValue}
+                                                setInputValue={(val) => updateActiveSession({ inputValue: val })}
+                                                onSend={handleSend}
+                                                onStop={handleStop}
+                                                isGenerating={isGenerating}
+                                                mode="bottom"
+                                                selectedFile={activeSession.selectedFile}
+                                                setSelectedFile={(file) => updateActiveSession({ selectedFile: file })}
+                                            />
+                                        )}
                                     </div>
                                 </div>
                             </div>
@@ -645,6 +811,13 @@ const Layout = () => {
                 onCloseSession={handleTabClose}
                 onNewChat={onNewChatWithScroll}
             />
+
+            <ReLoginDialog
+                isOpen={authStatus === AUTH_STATUS.EXPIRED}
+                defaultEmail={user?.email}
+                onLogin={login}
+                onSso={ssoEnabled ? loginWithSso : undefined}
+            />
         </div>
     );
 };
@@ -4,11 +4,14 @@ import './index.css'
 import App from './App.jsx'
 
 import { ThemeProvider } from './context/ThemeContext';
+import AuthProvider from './context/AuthProvider';
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
-    <ThemeProvider>
-      <App />
-    </ThemeProvider>
+    <AuthProvider>
+      <ThemeProvider>
+        <App />
+      </ThemeProvider>
+    </AuthProvider>
   </StrictMode>,
 )
@@ -0,0 +1,472 @@
+/**
+ * AuthService
+ *
+ * Owns the access token used by ChatService (Authorization header) and the
+ * chat socket (hello / auth frames):
+ * - the session { accessToken, refreshToken, expiresAt, user } is kept in
+ *   localStorage, so every tab shares one login and sees refreshes made by others
+ * - tokens are refreshed shortly before they expire; a Web Lock (when
+ *   available) makes sure only one tab refreshes at a time
+ * - a 401 or an auth close code gets one refresh attempt; if that fails the
+ *   status becomes EXPIRED and the UI asks the user to sign in again
+ *
+ * How tokens are obtained is pluggable: setProvider() swaps the default
+ * REST provider for anything implementing { login, refresh, logout,
+ * exchangeSsoCode, fetchDataKey }. fetchDataKey() hands LocalDataService the
+ * secret for encrypting local data; it is never written to storage. SSO is a
+ * redirect to API_CONFIG.auth.SSO_URL that comes back with ?code=&state=,
+ * exchanged for a session by completeSsoLogin().
+ *
+ * Signing out runs the handlers registered with onSignOut() (services drop
+ * user data and socket state) and signs out every tab.
+ */
+
+import API_CONFIG from './api.config';
+
+// Constants
+const SESSION_KEY = 'exim-auth-session';
+const SIGNED_OUT_KEY = 'exim-auth-signed-out'; // Written on sign-out so other tabs follow
+const SSO_STATE_KEY = 'exim-auth-sso-state'; // sessionStorage, guards the SSO redirect
+const REFRESH_LOCK_NAME = 'exim-auth-refresh-lock';
+const MIN_REFRESH_INTERVAL_MS = 10000; // A 401 right after a refresh means the session is gone
+
+export const AUTH_STATUS = {
+    ANONYMOUS: 'anonymous', // Never signed in (or signed out)
+    AUTHENTICATED: 'authenticated',
+    EXPIRED: 'expired' // Server rejected the session and it could not be refreshed
+};
+
+/**
+ * Default provider: the backend's /api/auth endpoints.
+ * Providers resolve to { accessToken, refreshToken?, expiresIn? (seconds), user? }.
+ */
+export const restAuthProvider = {
+    async login(credentials) {
+        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.endpoints.AUTH_LOGIN}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(credentials)
+        });
+        if (!response.ok) {
+            const errorJson = await response.json().catch(() => ({}));
+            throw new Error(errorJson.detail || `HTTP ${response.status}: Sign in failed`);
+        }
+        return response.json();
+    },
+
+    async refresh(refreshToken) {
+        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.endpoints.AUTH_REFRESH}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ refreshToken })
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: Token refresh failed`);
+        }
+        return response.json();
+    },
+
+    async logout(session) {
+        await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.endpoints.AUTH_LOGOUT}`, {
+            method: 'POST',
+            headers: { Authorization: `Bearer ${session.accessToken}` },
+            keepalive: true // Survives the reload that follows sign-out
+        });
+    },
+
+    async exchangeSsoCode({ code, redirectUri }) {
+        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.endpoints.AUTH_SSO_CALLBACK}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code, redirectUri })
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: Single sign-on failed`);
+        }
+        return response.json();
+    },
+
+    async fetchDataKey(session) {
+        const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.endpoints.AUTH_DATA_KEY}`, {
+            headers: { Authorization: `Bearer ${session.accessToken}` },
+            cache: 'no-store'
+        });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}: Could not get the local data key`);
+        }
+        return response.json();
+    }
+};
+
+/**
+ * Where the SSO provider sends the user back: this page without its query
+ * @returns {string}
+ */
+const getSsoRedirectUri = () => `${window.location.origin}${window.location.pathname}`;
+
+class AuthService {
+    constructor() {
+        this.provider = restAuthProvider;
+        this.listeners = new Set();
+        this.refreshTimer = null;
+        this.refreshPromise = null; // Single-flight refresh within this tab
+        this.lastRefreshAt = 0;
+        this.signOutHandlers = new Set();
+
+        this.session = this._readSession();
+        this.user = this.session?.user ?? null; // Kept while the session is expired, cleared on sign-out
+        this.status = this.session ? AUTH_STATUS.AUTHENTICATED : AUTH_STATUS.ANONYMOUS;
+        this._scheduleRefresh();
+
+        // Another tab signed in, refreshed or signed out
+        window.addEventListener('storage', this._handleStorage.bind(this));
+    }
+
+    _readSession() {
+        try {
+            const raw = localStorage.getItem(SESSION_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } catch (err) {
+            console.error('[Auth] Error reading stored session:', err);
+            return null;
+        }
+    }
+
+    _writeSession(session) {
+        try {
+            if (session) {
+                localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+            } else {
+                localStorage.removeItem(SESSION_KEY);
+            }
+        } catch (err) {
+            console.error('[Auth] Error storing session:', err);
+        }
+    }
+
+    /**
+     * Turn a provider result into a stored session
+     * @param {Object} result - { accessToken, refreshToken?, expiresIn?, user? }
+     * @returns {Object} - { accessToken, refreshToken, expiresAt, user }
+     */
+    _toSession(result) {
+        if (!result?.accessToken) {
+            throw new Error('Auth provider returned no access token');
+        }
+        return {
+            accessToken: result.accessToken,
+            // Refresh responses may omit what didn't change
+            refreshToken: result.refreshToken ?? this.session?.refreshToken ?? null,
+            expiresAt: result.expiresIn ? Date.now() + result.expiresIn * 1000 : null,
+            user: result.user ?? this.session?.user ?? null
+        };
+    }
+
+    _setSession(session, status) {
+        this.session = session;
+        if (session) this.user = session.user ?? this.user;
+        this.status = status;
+        this._writeSession(session);
+        this._scheduleRefresh();
+        this._notify();
+    }
+
+    _handleStorage(event) {
+        if (event.key === SIGNED_OUT_KEY) {
+            console.log('[Auth] Signed out in another tab');
+            this.session = null;
+            this.user = null;
+            this.status = AUTH_STATUS.ANONYMOUS;
+            this._scheduleRefresh();
+            this._notify();
+            return;
+        }
+        if (event.key !== SESSION_KEY) return;
+
+        this.session = this._readSession();
+        if (this.session) this.user = this.session.user ?? this.user;
+        // Signed out or expired elsewhere: this tab has to sign in again too
+        if (this.session) {
+            this.status = AUTH_STATUS.AUTHENTICATED;
+        } else if (this.status === AUTH_STATUS.AUTHENTICATED) {
+            this.status = AUTH_STATUS.EXPIRED;
+        }
+        console.log(`[Auth] Session changed in another tab (${this.status})`);
+        this._scheduleRefresh();
+        this._notify();
+    }
+
+    _scheduleRefresh() {
+        if (this.refreshTimer) {
+            clearTimeout(this.refreshTimer);
+            this.refreshTimer = null;
+        }
+        if (!this.session?.expiresAt || !this.session.refreshToken) return;
+
+        const delay = Math.max(0, this.session.expiresAt - Date.now() - API_CONFIG.auth.REFRESH_MARGIN_MS);
+        this.refreshTimer = setTimeout(() => {
+            this.refreshTimer = null;
+            this.refresh().catch(() => {}); // Failure is reported through the status
+        }, delay);
+    }
+
+    /**
+     * Refresh under a cross-tab lock. If another tab refreshed while we
+     * waited, its token is adopted instead of refreshing again.
+     */
+    async _refreshExclusive(staleToken) {
+        const run = async () => {
+            const stored = this._readSession();
+            if (stored && stored.accessToken !== staleToken) {
+                console.log('[Auth] Token already refreshed by another tab');
+                this._setSession(stored, AUTH_STATUS.AUTHENTICATED);
+                return stored.accessToken;
+            }
+
+            const refreshToken = stored?.refreshToken ?? this.session?.refreshToken;
+            if (!refreshToken) {
+                throw new Error('No refresh token');
+            }
+
+            console.log('[Auth] Refreshing access token');
+            const session = this._toSession(await this.provider.refresh(refreshToken));
+            this.lastRefreshAt = Date.now();
+            this._setSession(session, AUTH_STATUS.AUTHENTICATED);
+            return session.accessToken;
+        };
+
+        if (typeof navigator !== 'undefined' && navigator.locks) {
+            return navigator.locks.request(REFRESH_LOCK_NAME, run);
+        }
+        return run();
+    }
+
+    _expire(reason) {
+        console.warn(`[Auth] Session expired: ${reason}`);
+        this._setSession(null, AUTH_STATUS.EXPIRED);
+    }
+
+    _notify() {
+        const state = this.getState();
+        this.listeners.forEach(callback => {
+            try {
+                callback(state);
+            } catch (err) {
+                console.error('[Auth] Error in listener:', err);
+            }
+        });
+    }
+
+    // ========== PUBLIC API ==========
+
+    /**
+     * Use a different way of obtaining tokens (SSO, test doubles, ...)
+     * @param {Object} provider - { login(credentials), refresh(refreshToken), logout?(session), exchangeSsoCode?({ code, redirectUri }), fetchDataKey?(session) }
+     */
+    setProvider(provider) {
+        this.provider = provider;
+    }
+
+    /**
+     * Sign in with the current provider
+     * @param {Object} credentials - Whatever the provider expects (e.g. { email, password })
+     * @returns {Promise<Object>} - Auth state
+     */
+    async login(credentials) {
+        const session = this._toSession(await this.provider.login(credentials));
+        this.lastRefreshAt = Date.now();
+        this._setSession(session, AUTH_STATUS.AUTHENTICATED);
+        console.log(`[Auth] Signed in${session.user?.email ? ` as ${session.user.email}` : ''}`);
+        return this.getState();
+    }
+
+    /**
+     * Start single sign-on: redirect to the configured SSO endpoint, which
+     * comes back to this page with ?code=&state=
+     */
+    startSsoLogin() {
+        if (!API_CONFIG.auth.SSO_URL) {
+            throw new Error('Single sign-on is not configured');
+        }
+
+        const state = crypto.randomUUID();
+        sessionStorage.setItem(SSO_STATE_KEY, state);
+
+        const url = new URL(API_CONFIG.auth.SSO_URL);
+        url.searchParams.set('redirect_uri', getSsoRedirectUri());
+        url.searchParams.set('state', state);
+        console.log('[Auth] Redirecting to single sign-on');
+        window.location.assign(url.toString());
+    }
+
+    /**
+     * Finish single sign-on if this page is the SSO redirect target.
+     * The code is removed from the address bar either way.
+     * @returns {Promise<boolean>} - Whether a sign-in was completed
+     */
+    async completeSsoLogin() {
+        const params = new URLSearchParams(window.location.search);
+        const code = params.get('code');
+        if (!code) return false;
+
+        const expectedState = sessionStorage.getItem(SSO_STATE_KEY);
+        sessionStorage.removeItem(SSO_STATE_KEY);
+        window.history.replaceState(null, '', getSsoRedirectUri() + window.location.hash);
+
+        if (!expectedState || params.get('state') !== expectedState) {
+            throw new Error('Single sign-on response did not match this browser - please try again');
+        }
+
+        const session = this._toSession(await this.provider.exchangeSsoCode({ code, redirectUri: getSsoRedirectUri() }));
+        this.lastRefreshAt = Date.now();
+        this._setSession(session, AUTH_STATUS.AUTHENTICATED);
+        console.log(`[Auth] Signed in with SSO${session.user?.email ? ` as ${session.user.email}` : ''}`);
+        return true;
+    }
+
+    /**
+     * Register cleanup to run before signing out (drop user data, socket state)
+     * @param {Function} handler - () => void | Promise
+     * @returns {Function} - Unregister function
+     */
+    onSignOut(handler) {
+        this.signOutHandlers.add(handler);
+        return () => this.signOutHandlers.delete(handler);
+    }
+
+    /**
+     * Sign out in every tab. Sign-out handlers run first; the server is told best-effort.
+     */
+    async logout() {
+        const session = this.session;
+
+        const results = await Promise.allSettled([...this.signOutHandlers].map(handler => handler()));
+        results
+            .filter(result => result.status === 'rejected')
+            .forEach(result => console.error('[Auth] Error in sign-out handler:', result.reason));
+
+        // Other tabs see this before the session disappears, so they sign out instead of expiring
+        localStorage.setItem(SIGNED_OUT_KEY, String(Date.now()));
+        this.user = null;
+        this._setSession(null, AUTH_STATUS.ANONYMOUS);
+
+        if (session && this.provider.logout) {
+            try {
+                await this.provider.logout(session);
+            } catch (err) {
+                console.warn('[Auth] Server sign-out failed:', err.message);
+            }
+        }
+    }
+
+    /**
+     * Refresh the access token now (single-flight per tab)
+     * @returns {Promise<string>} - New access token
+     */
+    refresh() {
+        if (!this.refreshPromise) {
+            const staleToken = this.session?.accessToken ?? null;
+            this.refreshPromise = this._refreshExclusive(staleToken)
+                .catch(err => {
+                    this._expire(err.message);
+                    throw err;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        return this.refreshPromise;
+    }
+
+    /**
+     * Current access token, refreshed first if it is about to expire
+     * @returns {Promise<string|null>}
+     */
+    async getAccessToken() {
+        if (!this.session) return null;
+
+        const { expiresAt, refreshToken } = this.session;
+        if (expiresAt && refreshToken && expiresAt - Date.now() < API_CONFIG.auth.REFRESH_MARGIN_MS) {
+            try {
+                return await this.refresh();
+            } catch {
+                return null;
+            }
+        }
+        return this.session.accessToken;
+    }
+
+    /**
+     * Current access token without refreshing (for the socket, which gets
+     * refreshed tokens through subscribe)
+     * @returns {string|null}
+     */
+    getToken() {
+        return this.session?.accessToken ?? null;
+    }
+
+    /**
+     * The server rejected our token (HTTP 401 or an auth close code).
+     * Tries one refresh; otherwise the session is marked expired.
+     * @returns {Promise<string|null>} - New access token, or null if the user has to sign in
+     */
+    async handleUnauthorized() {
+        if (!this.session?.refreshToken || Date.now() - this.lastRefreshAt < MIN_REFRESH_INTERVAL_MS) {
+            if (this.status !== AUTH_STATUS.EXPIRED) this._expire('server rejected the token');
+            return null;
+        }
+
+        try {
+            return await this.refresh();
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Ask the server for the secret local data is encrypted with. The caller
+     * keeps it in memory only.
+     * @returns {Promise<string>} - Base64
+     */
+    async fetchDataKey() {
+        if (!this.provider.fetchDataKey) {
+            throw new Error('Auth provider does not supply a local data key');
+        }
+
+        const accessToken = await this.getAccessToken();
+        if (!accessToken) {
+            throw new Error('Not signed in');
+        }
+
+        const { key } = await this.provider.fetchDataKey({ ...this.session, accessToken });
+        if (!key) {
+            throw new Error('Auth provider returned no local data key');
+        }
+        return key;
+    }
+
+    /**
+     * Subscribe to sign-in, refresh and sign-out
+     * @param {Function} callback - ({ status, user, accessToken }) => void
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    /**
+     * @returns {{ status: string, user: Object|null, accessToken: string|null }}
+     */
+    getState() {
+        return {
+            status: this.status,
+            user: this.user,
+            accessToken: this.getToken()
+        };
+    }
+}
+
+// Export singleton instance
+const authService = new AuthService();
+export default authService;
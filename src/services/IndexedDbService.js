@@ -0,0 +1,343 @@
+/**
+ * IndexedDbService
+ *
+ * Thin promise wrapper around the app's IndexedDB database.
+ * All object stores live in one database; each schema version adds its
+ * stores in _upgrade so existing data survives upgrades.
+ */
+
+const DB_NAME = 'exim-gpt';
+const DB_VERSION = 5;
+
+// Object store names
+export const STORES = {
+    OUTBOX: 'outbox',
+    RESPONSES: 'responses',
+    THREADS: 'threads',
+    SESSION_SNAPSHOTS: 'sessionSnapshots',
+    SNAPSHOT_FILES: 'snapshotFiles'
+};
+
+class IndexedDbService {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    /**
+     * Whether IndexedDB is available in this context (tab or worker)
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (or reuse) the database connection
+     * @returns {Promise<IDBDatabase>}
+     */
+    _open() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!this.isSupported()) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = (event) => {
+                console.log(`[IndexedDB] Upgrading ${DB_NAME} from v${event.oldVersion} to v${DB_VERSION}`);
+                this._upgrade(request.result, event.oldVersion);
+            };
+
+            request.onsuccess = () => {
+                const db = request.result;
+                // Another tab is upgrading the schema - let it proceed
+                db.onversionchange = () => {
+                    db.close();
+                    this.dbPromise = null;
+                };
+                resolve(db);
+            };
+
+            request.onerror = () => {
+                this.dbPromise = null;
+                reject(request.error);
+            };
+
+            request.onblocked = () => {
+                console.warn('[IndexedDB] Open blocked by another tab holding an older version');
+            };
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Create object stores and indexes for each schema version
+     * @param {IDBDatabase} db - Database being upgraded
+     * @param {number} oldVersion - Version before the upgrade (0 for a new database)
+     */
+    _upgrade(db, oldVersion) {
+        if (oldVersion < 1) {
+            // Entries carry the user scope they were queued under
+            const outbox = db.createObjectStore(STORES.OUTBOX, { keyPath: 'clientMessageId' });
+            outbox.createIndex('scope', 'scope');
+            outbox.createIndex('scopeThread', ['scope', 'threadId']);
+            outbox.createIndex('createdAt', 'createdAt');
+        }
+
+        if (oldVersion < 2) {
+            const responses = db.createObjectStore(STORES.RESPONSES, { keyPath: ['scope', 'threadId', 'messageId'] });
+            responses.createIndex('scope', 'scope');
+            responses.createIndex('cachedAt', 'cachedAt');
+            // Key-only cursors over it give a user's entries in LRU order with their sizes
+            responses.createIndex('lru', ['scope', 'accessedAt', 'size']);
+        }
+
+        if (oldVersion < 3) {
+            const threads = db.createObjectStore(STORES.THREADS, { keyPath: ['scope', 'threadId'] });
+            threads.createIndex('scope', 'scope');
+        }
+
+        if (oldVersion < 4) {
+            db.createObjectStore(STORES.SESSION_SNAPSHOTS, { keyPath: 'scope' });
+        }
+
+        if (oldVersion < 5) {
+            const snapshotFiles = db.createObjectStore(STORES.SNAPSHOT_FILES, { keyPath: ['scope', 'sessionId'] });
+            snapshotFiles.createIndex('scope', 'scope');
+        }
+    }
+
+    /**
+     * Run an operation inside a transaction and resolve once it commits
+     * @param {string} storeName - Object store name
+     * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest|void
+     * @returns {Promise<*>} - Result of the request returned by operation
+     */
+    async _run(storeName, mode, operation) {
+        const db = await this._open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            let result;
+
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // ========== PUBLIC API ==========
+
+    /**
+     * Get a record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise<Object|undefined>}
+     */
+    get(storeName, key) {
+        return this._run(storeName, 'readonly', store => store.get(key));
+    }
+
+    /**
+     * Get all records in a store, or those whose key falls in a range
+     * @param {string} storeName - Object store name
+     * @param {IDBKeyRange} [range] - Key range
+     * @returns {Promise<Array>}
+     */
+    getAll(storeName, range) {
+        return this._run(storeName, 'readonly', store => store.getAll(range));
+    }
+
+    /**
+     * Get all records matching an index key
+     * @param {string} storeName - Object store name
+     * @param {string} indexName - Index name
+     * @param {*} key - Index key
+     * @returns {Promise<Array>}
+     */
+    getAllByIndex(storeName, indexName, key) {
+        return this._run(storeName, 'readonly', store => store.index(indexName).getAll(key));
+    }
+
+    /**
+     * Read an index without loading records
+     * @param {string} storeName - Object store name
+     * @param {string} indexName - Index name
+     * @param {IDBKeyRange|*} range - Index key or range
+     * @returns {Promise<Array<{key: *, primaryKey: *}>>} - In index order
+     */
+    async getIndexKeys(storeName, indexName, range) {
+        const entries = [];
+
+        await this._run(storeName, 'readonly', store => {
+            const request = store.index(indexName).openKeyCursor(range);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                entries.push({ key: cursor.key, primaryKey: cursor.primaryKey });
+                cursor.continue();
+            };
+        });
+
+        return entries;
+    }
+
+    /**
+     * Insert or replace a record
+     * @param {string} storeName - Object store name
+     * @param {Object} value - Record (must contain the store's keyPath)
+     * @returns {Promise<*>} - Key of the stored record
+     */
+    put(storeName, value) {
+        return this._run(storeName, 'readwrite', store => store.put(value));
+    }
+
+    /**
+     * Insert or replace several records in one transaction
+     * @param {string} storeName - Object store name
+     * @param {Array<Object>} values - Records (each must contain the store's keyPath)
+     * @returns {Promise<void>}
+     */
+    putMany(storeName, values) {
+        return this._run(storeName, 'readwrite', store => {
+            values.forEach(value => store.put(value));
+        });
+    }
+
+    /**
+     * Read-modify-write records in one transaction, so nothing written in
+     * between is lost. The updater runs inside the transaction and must be
+     * synchronous.
+     * @param {string} storeName - Object store name
+     * @param {Array} keys - Record keys
+     * @param {Function} update - (existing|undefined, key) => new record
+     * @returns {Promise<void>}
+     */
+    updateMany(storeName, keys, update) {
+        return this._run(storeName, 'readwrite', store => {
+            keys.forEach(key => {
+                const request = store.get(key);
+                request.onsuccess = () => {
+                    store.put(update(request.result, key));
+                };
+            });
+        });
+    }
+
+    /**
+     * Delete a record by key
+     * @param {string} storeName - Object store name
+     * @param {*} key - Record key
+     * @returns {Promise<void>}
+     */
+    delete(storeName, key) {
+        return this._run(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Delete several records by key in one transaction
+     * @param {string} storeName - Object store name
+     * @param {Array} keys - Record keys
+     * @returns {Promise<void>}
+     */
+    deleteMany(storeName, keys) {
+        return this._run(storeName, 'readwrite', store => {
+            keys.forEach(key => store.delete(key));
+        });
+    }
+
+    /**
+     * Delete every record whose index key falls in a range
+     * @param {string} storeName - Object store name
+     * @param {string} indexName - Index name
+     * @param {IDBKeyRange|*} range - Index key or range
+     * @returns {Promise<number>} - Number of records deleted
+     */
+    async deleteByIndex(storeName, indexName, range) {
+        let deleted = 0;
+
+        await this._run(storeName, 'readwrite', store => {
+            const request = store.index(indexName).openCursor(range);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                cursor.delete();
+                deleted++;
+                cursor.continue();
+            };
+        });
+
+        return deleted;
+    }
+
+    /**
+     * Delete every record in a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<void>}
+     */
+    clear(storeName) {
+        return this._run(storeName, 'readwrite', store => store.clear());
+    }
+
+    /**
+     * Delete the whole database (every store, every user). Other tabs close
+     * their connections through onversionchange; the next call reopens an
+     * empty database.
+     * @returns {Promise<void>}
+     */
+    async deleteDatabase() {
+        if (!this.isSupported()) return;
+
+        if (this.dbPromise) {
+            const db = await this.dbPromise.catch(() => null);
+            db?.close();
+            this.dbPromise = null;
+        }
+
+        await new Promise((resolve, reject) => {
+            const request = indexedDB.deleteDatabase(DB_NAME);
+            request.onsuccess = () => resolve();
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => {
+                console.warn('[IndexedDB] Delete waiting for another tab to close the database');
+            };
+        });
+        console.log(`[IndexedDB] Deleted ${DB_NAME}`);
+    }
+
+    /**
+     * Count records in a store
+     * @param {string} storeName - Object store name
+     * @returns {Promise<number>}
+     */
+    count(storeName) {
+        return this._run(storeName, 'readonly', store => store.count());
+    }
+
+    /**
+     * Count records matching an index key
+     * @param {string} storeName - Object store name
+     * @param {string} indexName - Index name
+     * @param {*} key - Index key
+     * @returns {Promise<number>}
+     */
+    countByIndex(storeName, indexName, key) {
+        return this._run(storeName, 'readonly', store => store.index(indexName).count(key));
+    }
+}
+
+// Export singleton instance
+const indexedDbService = new IndexedDbService();
+export default indexedDbService;
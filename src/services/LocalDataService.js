@@ -0,0 +1,202 @@
+/**
+ * LocalDataService
+ *
+ * Conversation data kept on this device: optional encryption at rest and the
+ * "wipe local data" action.
+ *
+ * With API_CONFIG.storage.ENCRYPT_AT_REST on, the response cache, the thread
+ * mirror and the tab snapshot seal what they store with AES-GCM. The secret
+ * comes from the server once per page and signed-in user (AuthService
+ * fetchDataKey) and is turned (HKDF) into a non-extractable CryptoKey held
+ * in memory only; it is never written to the browser. Without it nothing is
+ * sealed, so nothing is stored. Records stored in plain form (before
+ * encryption was turned on) are still read.
+ *
+ * What this protects: conversations left on disk after sign-out or session
+ * expiry, and browser data copied off the machine - reading them takes a
+ * sign-in as the same user.
+ * What it does not: while a session is alive, anyone at the browser is
+ * signed in as that user and can read the conversations in the app (or ask
+ * the server for the key). Use "wipe local data" when leaving a shared desk.
+ * The outbox is not encrypted either: the socket worker that flushes it
+ * has no access to the key. It is emptied on sign-out.
+ */
+
+import API_CONFIG from './api.config';
+import authService, { AUTH_STATUS } from './AuthService';
+import indexedDbService from './IndexedDbService';
+import { getUserScope } from './userScope';
+
+const ENVELOPE_VERSION = 1;
+const IV_BYTES = 12;
+const KEY_INFO = 'exim-local-data';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Derive the AES-GCM key from the server's secret
+ * @param {string} dataKey - Base64 secret
+ * @param {string} scope - User scope, used as salt
+ * @returns {Promise<CryptoKey>} - Non-extractable
+ */
+const deriveKey = async (dataKey, scope) => {
+    const secret = Uint8Array.from(atob(dataKey), c => c.charCodeAt(0));
+    const baseKey = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey']);
+
+    return crypto.subtle.deriveKey(
+        { name: 'HKDF', hash: 'SHA-256', salt: textEncoder.encode(scope), info: textEncoder.encode(KEY_INFO) },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+};
+
+class LocalDataService {
+    constructor() {
+        this.keyPromise = null;
+        this.keyScope = null; // User scope the current keyPromise belongs to
+
+        // The key goes with the session; a failed fetch is retried after the next sign-in or refresh
+        authService.subscribe(({ status }) => {
+            if (status !== AUTH_STATUS.AUTHENTICATED || this.keyPromise?.failed) this._forgetKey();
+        });
+        authService.onSignOut(() => this._forgetKey());
+    }
+
+    _forgetKey() {
+        this.keyPromise = null;
+        this.keyScope = null;
+    }
+
+    /**
+     * AES-GCM key of the signed-in user, fetched once and kept in memory
+     * @returns {Promise<CryptoKey>}
+     */
+    _getKey() {
+        if (authService.getState().status !== AUTH_STATUS.AUTHENTICATED) {
+            return Promise.reject(new Error('No session - sign in to read or write encrypted data'));
+        }
+
+        const scope = getUserScope();
+        if (!this.keyPromise || this.keyScope !== scope) {
+            const keyPromise = authService.fetchDataKey().then(dataKey => deriveKey(dataKey, scope));
+            keyPromise.catch(err => {
+                keyPromise.failed = true;
+                console.error('[LocalData] No encryption key, conversations are not stored on this device:', err.message);
+            });
+            this.keyPromise = keyPromise;
+            this.keyScope = scope;
+        }
+        return this.keyPromise;
+    }
+
+    /**
+     * Whether a stored value is an encrypted envelope
+     * @param {*} stored - Value read from storage
+     * @returns {boolean}
+     */
+    _isSealed(stored) {
+        return stored?.sealed === ENVELOPE_VERSION && stored.data instanceof ArrayBuffer;
+    }
+
+    /**
+     * Encrypt bytes into an envelope
+     * @param {BufferSource} bytes - Plain bytes
+     * @returns {Promise<Object>} - { sealed, iv, data }
+     */
+    async _encrypt(bytes) {
+        const key = await this._getKey();
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+        return { sealed: ENVELOPE_VERSION, iv, data };
+    }
+
+    /**
+     * Decrypt an envelope
+     * @param {Object} envelope - { sealed, iv, data }
+     * @returns {Promise<ArrayBuffer>}
+     */
+    async _decrypt(envelope) {
+        const key = await this._getKey();
+        return crypto.subtle.decrypt({ name: 'AES-GCM', iv: envelope.iv }, key, envelope.data);
+    }
+
+    // ========== PUBLIC API ==========
+
+    /**
+     * Whether local conversation data is encrypted at rest
+     * @returns {boolean}
+     */
+    isEncrypted() {
+        return API_CONFIG.storage.ENCRYPT_AT_REST && typeof crypto !== 'undefined' && !!crypto.subtle;
+    }
+
+    /**
+     * Prepare a JSON-serializable value for storage (encrypted if enabled)
+     * @param {*} value - Value to store
+     * @returns {Promise<*>} - Envelope, or the value itself when encryption is off
+     */
+    async seal(value) {
+        if (!this.isEncrypted()) return value;
+        return this._encrypt(textEncoder.encode(JSON.stringify(value)));
+    }
+
+    /**
+     * Read a value stored with seal(). Throws if it can't be decrypted
+     * (e.g. it was sealed with a key the server has since rotated).
+     * @param {*} stored - Value read from storage
+     * @returns {Promise<*>}
+     */
+    async open(stored) {
+        if (!this._isSealed(stored)) return stored;
+        return JSON.parse(textDecoder.decode(await this._decrypt(stored)));
+    }
+
+    /**
+     * Prepare a Blob (attached file) for storage
+     * @param {Blob} blob - File contents
+     * @returns {Promise<Blob|Object>} - Envelope, or the Blob itself when encryption is off
+     */
+    async sealBlob(blob) {
+        if (!this.isEncrypted()) return blob;
+        return { ...await this._encrypt(await blob.arrayBuffer()), type: blob.type };
+    }
+
+    /**
+     * Read a Blob stored with sealBlob()
+     * @param {Blob|Object} stored - Value read from storage
+     * @returns {Promise<Blob>}
+     */
+    async openBlob(stored) {
+        if (!this._isSealed(stored)) return stored;
+        return new Blob([await this._decrypt(stored)], { type: stored.type });
+    }
+
+    /**
+     * Delete everything the app keeps on this device - IndexedDB (every
+     * user), localStorage and sessionStorage - then sign out, which reloads
+     * every tab.
+     * @returns {Promise<void>}
+     */
+    async wipe() {
+        console.log('[LocalData] Wiping local data');
+
+        try {
+            await indexedDbService.deleteDatabase();
+        } catch (err) {
+            console.error('[LocalData] Error deleting database:', err);
+        }
+        localStorage.clear();
+        sessionStorage.clear();
+        this._forgetKey();
+
+        // The session is still in memory, so the server is told about the sign-out
+        await authService.logout();
+    }
+}
+
+// Export singleton instance
+const localDataService = new LocalDataService();
+export default localDataService;
@@ -0,0 +1,1000 @@
+/**
+ * MultiplexedSocket
+ *
+ * Owns the single /ws/chat WebSocket shared by every thread: connect/disconnect
+ * debouncing, reconnection with jittered backoff, ping/pong keepalive, the
+ * durable outbox, stream accumulation and per-thread sequence cursors.
+ * Frames are encoded and decoded here only (see frameCodec), so callbacks
+ * always get plain objects whatever went over the wire. The access token goes
+ * in the hello; a socket closed for auth reasons waits for setAuthToken().
+ * The outbox is read and written for one user scope only (setScope()).
+ *
+ * It has no notion of tabs. Whoever hosts it (the leader tab or the
+ * SharedWorker) registers threads, forwards sends and fans out what it
+ * reports through the onMessage / onStateChange callbacks.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import API_CONFIG from './api.config';
+import outboxService from './OutboxService';
+import {
+    PROTOCOL_VERSION,
+    FRAME_TYPES,
+    STREAM_FRAME_TYPES,
+    CONTROL_FRAME_TYPES,
+    CONNECTION_STATUS,
+    KEEPALIVE_FRAME_TYPES,
+    OUTBOX_EVENT_TYPES,
+    AUTH_CLOSE_CODES,
+    normalizeFrame
+} from './socketProtocol';
+import {
+    FRAME_ENCODINGS,
+    getOfferedEncodings,
+    resolveEncoding,
+    getCompression,
+    decodeFrame,
+    encodeFrame
+} from './frameCodec';
+
+// Constants
+const CONNECTION_DEBOUNCE_MS = 300;
+const RECONNECT_BASE_DELAY_MS = 1000; // First retry after ~1 second
+const RECONNECT_MAX_DELAY_MS = 30000; // Backoff is capped at 30 seconds
+const SEQUENCE_GAP_TIMEOUT_MS = 5000; // Give up waiting for a replay and skip the gap
+
+class MultiplexedSocket {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onMessage - (threadId, message) => void, for frames and outbox events
+     * @param {Function} options.onStateChange - (state) => void
+     * @param {Object} [options.keepalive] - { intervalMs, timeoutMs }
+     * @param {string} [options.authToken] - Access token sent in the hello
+     * @param {string} [options.scope] - User scope of the outbox entries to use
+     * @param {string} [options.logPrefix] - Prefix for console output
+     */
+    constructor({ onMessage, onStateChange, keepalive, authToken = null, scope = null, logPrefix = '[SharedWS]' }) {
+        this.onMessage = onMessage;
+        this.onStateChange = onStateChange;
+        this.logPrefix = logPrefix;
+        this.disposed = false;
+        this.authToken = authToken;
+        this.scope = scope; // Outbox entries of other users are never touched; null until the host knows
+        this.unscopedOutbox = []; // { threadId, clientMessageId, message } to store once the scope is known
+        this.authRejected = false; // Server closed the socket over the token - no retries until a new one
+
+        this.socket = null; // Single WebSocket for all threads
+        this.connectTimer = null;
+        this.disconnectTimer = null;
+        this.messageQueue = []; // { threadId, clientMessageId, message } queued while connecting
+        this.isFlushingOutbox = false; // New sends wait in messageQueue while the outbox drains
+        this.activeThreads = new Set(); // Threads that need the connection
+        this.streams = new Map(); // clientMessageId (or threadId) -> text accumulated for the answer being streamed
+        this.retryTimer = null;
+        this.retryAttempt = 0; // Consecutive failed attempts, reset after a successful open
+        this.cursors = new Map(); // threadId -> { lastSeq, buffer: Map(seq -> frame), gapTimer }
+        this.offeredEncodings = getOfferedEncodings(API_CONFIG.websocket.ENCODING);
+        this.encoding = FRAME_ENCODINGS.JSON; // Outgoing encoding, switched by the server's hello
+
+        this.connectionState = {
+            status: CONNECTION_STATUS.IDLE,
+            attempt: 0, // Retry attempt in progress or scheduled (0 = first connect)
+            nextRetryAt: null, // Timestamp of the next scheduled retry
+            latencyMs: null, // Round-trip time of the last ping/pong
+            protocolVersion: null, // Announced by the server's hello (null: not announced, assume v1)
+            encoding: null, // Frame encoding agreed in the hello (null: not connected)
+            compression: null, // Compression extension negotiated by the browser, e.g. 'permessage-deflate'
+            updatedAt: Date.now()
+        };
+
+        // Keepalive
+        this.keepalive = keepalive || {
+            intervalMs: API_CONFIG.websocket.PING_INTERVAL_MS,
+            timeoutMs: API_CONFIG.websocket.PONG_TIMEOUT_MS
+        };
+        this.pingInterval = null;
+        this.pongTimer = null;
+        this.pendingPings = new Map(); // ping id -> sent timestamp
+        this.pingSeq = 0;
+
+        // Pause retries while the device is offline, reconnect as soon as it is back
+        // (both events also fire in workers)
+        this._handleOnline = this._handleOnline.bind(this);
+        this._handleOffline = this._handleOffline.bind(this);
+        globalThis.addEventListener('online', this._handleOnline);
+        globalThis.addEventListener('offline', this._handleOffline);
+    }
+
+    _log(...args) {
+        console.log(this.logPrefix, ...args);
+    }
+
+    _handleOnline() {
+        this._log('Network back online');
+        if (this.activeThreads.size === 0) return;
+
+        // A fresh network deserves a fresh backoff
+        this.retryAttempt = 0;
+        this._createWebSocket();
+    }
+
+    _handleOffline() {
+        this._log('Network offline - pausing reconnection');
+
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        this._setConnectionState({ status: CONNECTION_STATUS.OFFLINE, nextRetryAt: null });
+    }
+
+    _isOpenOrConnecting() {
+        return !!this.socket &&
+            (this.socket.readyState === WebSocket.OPEN ||
+                this.socket.readyState === WebSocket.CONNECTING);
+    }
+
+    _scheduleConnect() {
+        if (this.disconnectTimer) {
+            clearTimeout(this.disconnectTimer);
+            this.disconnectTimer = null;
+        }
+
+        // Already connected or connecting
+        if (this._isOpenOrConnecting()) return;
+
+        if (this.connectTimer) {
+            clearTimeout(this.connectTimer);
+        }
+
+        this.connectTimer = setTimeout(() => {
+            this.connectTimer = null;
+            this._createWebSocket();
+        }, CONNECTION_DEBOUNCE_MS);
+    }
+
+    _scheduleDisconnect() {
+        if (this.connectTimer) {
+            clearTimeout(this.connectTimer);
+            this.connectTimer = null;
+        }
+
+        if (this.disconnectTimer) {
+            clearTimeout(this.disconnectTimer);
+        }
+
+        this.disconnectTimer = setTimeout(() => {
+            this.disconnectTimer = null;
+            this.close();
+        }, CONNECTION_DEBOUNCE_MS);
+    }
+
+    /**
+     * Create the single WebSocket connection
+     * Reconnects indefinitely with capped, jittered backoff - needed for
+     * Render free tier cold starts and flaky mobile networks alike
+     */
+    _createWebSocket() {
+        if (this.disposed || this._isOpenOrConnecting()) return;
+
+        if (this.authRejected) {
+            this._log('Token was rejected - waiting for a new one before connecting');
+            return;
+        }
+
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+
+        if (navigator.onLine === false) {
+            this._log('Device offline - waiting for network before connecting');
+            this._setConnectionState({ status: CONNECTION_STATUS.OFFLINE, nextRetryAt: null });
+            return;
+        }
+
+        // Single endpoint for all threads
+        const wsUrl = `${API_CONFIG.WS_BASE_URL}${API_CONFIG.endpoints.CHAT_WS}`;
+        this._log(`Creating single multiplexed WebSocket: ${wsUrl} (attempt ${this.retryAttempt + 1})`);
+
+        this._setConnectionState({ status: CONNECTION_STATUS.CONNECTING, attempt: this.retryAttempt, nextRetryAt: null });
+
+        const socket = new WebSocket(wsUrl);
+        socket.binaryType = 'arraybuffer'; // Binary frames are decoded synchronously
+        this.socket = socket;
+
+        socket.onopen = async () => {
+            // Every new socket starts in JSON until the server's hello says otherwise
+            const compression = getCompression(socket);
+            this.encoding = FRAME_ENCODINGS.JSON;
+            this._log(`WebSocket connected (multiplexed, compression: ${compression || 'none'})`);
+            this.retryAttempt = 0;
+            this._setConnectionState({
+                status: CONNECTION_STATUS.OPEN,
+                attempt: 0,
+                nextRetryAt: null,
+                encoding: FRAME_ENCODINGS.JSON,
+                compression
+            });
+            this._startKeepalive();
+
+            // Handshake first so the server knows which frames and encodings we understand
+            this._transmit({
+                type: FRAME_TYPES.HELLO,
+                v: PROTOCOL_VERSION,
+                client: 'eximgpt-web',
+                encodings: this.offeredEncodings,
+                compression,
+                ...(this.authToken && { token: this.authToken })
+            });
+
+            // Ask for whatever was sent while we were away before sending anything new
+            this._sendResume([...this.activeThreads]);
+
+            // Outbox first so messages go out in the order they were written
+            this.isFlushingOutbox = true;
+            await this._flushOutbox();
+            this.isFlushingOutbox = false;
+            this._flushMessageQueue();
+        };
+
+        socket.onmessage = (event) => {
+            try {
+                const data = normalizeFrame(decodeFrame(event.data));
+                if (!data) {
+                    console.error(`${this.logPrefix} Received malformed frame:`, event.data);
+                    return;
+                }
+                const threadId = data.threadId;
+
+                if (data.type === KEEPALIVE_FRAME_TYPES.PONG) {
+                    this._handlePong(data);
+                    return;
+                }
+
+                if (data.type === FRAME_TYPES.HELLO) {
+                    this._handleHello(data);
+                    return;
+                }
+
+                // Connection-level frames (errors, notices) go to every tab as they are
+                if (!threadId) {
+                    this.onMessage(null, data);
+                    return;
+                }
+
+                if (typeof data.seq === 'number') {
+                    this._receiveSequenced(threadId, data);
+                } else {
+                    this._deliver(threadId, data);
+                }
+            } catch (err) {
+                console.error(`${this.logPrefix} Error parsing WebSocket message:`, err);
+            }
+        };
+
+        socket.onerror = (error) => {
+            console.error(`${this.logPrefix} WebSocket error:`, error);
+        };
+
+        socket.onclose = (event) => {
+            // A socket we already replaced or closed on purpose
+            if (this.socket !== socket) return;
+
+            if (AUTH_CLOSE_CODES.has(event.code)) {
+                this._handleAuthRejected(event);
+                return;
+            }
+
+            this._log('WebSocket closed');
+            this._handleSocketLost();
+        };
+    }
+
+    /**
+     * The server closed the socket because of the token. Retrying with the
+     * same token is pointless, so unsent messages go to the outbox and the
+     * socket waits for setAuthToken() (hosts refresh or ask the user to sign in).
+     */
+    _handleAuthRejected(event) {
+        console.warn(`${this.logPrefix} Server rejected the access token (close ${event.code}${event.reason ? `: ${event.reason}` : ''})`);
+
+        this.authRejected = true;
+        this.socket = null;
+        this._stopKeepalive();
+        this._resetGaps();
+        this._moveQueueToOutbox();
+
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+        this._setConnectionState({ status: CONNECTION_STATUS.UNAUTHORIZED, nextRetryAt: null, latencyMs: null });
+    }
+
+    /**
+     * Common path for a socket that closed or was declared dead:
+     * keep unsent messages and retry while threads still need the connection
+     */
+    _handleSocketLost() {
+        this.socket = null;
+        this._stopKeepalive();
+        this._resetGaps();
+        this._moveQueueToOutbox();
+
+        if (this.activeThreads.size > 0) {
+            this._scheduleRetry();
+        } else {
+            this._setConnectionState({ status: CONNECTION_STATUS.IDLE, attempt: 0, nextRetryAt: null });
+        }
+    }
+
+    /**
+     * Ping the server periodically. A half-open socket (proxy dropped it,
+     * host went to sleep) still reports OPEN, so only a missing pong reveals it.
+     */
+    _startKeepalive() {
+        this._stopKeepalive();
+
+        const { intervalMs } = this.keepalive;
+        if (!intervalMs) return;
+
+        this.pingInterval = setInterval(() => this._sendPing(), intervalMs);
+    }
+
+    _stopKeepalive() {
+        if (this.pingInterval) {
+            clearInterval(this.pingInterval);
+            this.pingInterval = null;
+        }
+        if (this.pongTimer) {
+            clearTimeout(this.pongTimer);
+            this.pongTimer = null;
+        }
+        this.pendingPings.clear();
+    }
+
+    _sendPing() {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+
+        const id = ++this.pingSeq;
+        const ts = Date.now();
+        this.pendingPings.set(id, ts);
+        this._transmit({ type: KEEPALIVE_FRAME_TYPES.PING, id, ts });
+
+        // One outstanding deadline is enough: any pong proves the socket is alive
+        if (!this.pongTimer && this.keepalive.timeoutMs) {
+            this.pongTimer = setTimeout(() => this._handlePongTimeout(), this.keepalive.timeoutMs);
+        }
+    }
+
+    _handlePong(data) {
+        if (this.pongTimer) {
+            clearTimeout(this.pongTimer);
+            this.pongTimer = null;
+        }
+
+        const sentAt = this.pendingPings.get(data.id) ?? data.ts;
+        this.pendingPings.clear();
+
+        if (typeof sentAt === 'number') {
+            this._setConnectionState({ latencyMs: Date.now() - sentAt });
+        }
+    }
+
+    _handlePongTimeout() {
+        this.pongTimer = null;
+        const socket = this.socket;
+        if (!socket) return;
+
+        console.warn(`${this.logPrefix} No pong within ${this.keepalive.timeoutMs}ms - treating socket as dead and reconnecting`);
+
+        // Detach first: close() on a half-open socket may not fire onclose for a long time
+        this.socket = null;
+        socket.onclose = null;
+        socket.close(4000, 'Keepalive timeout');
+
+        this._setConnectionState({ latencyMs: null });
+        this._handleSocketLost();
+    }
+
+    _handleHello(data) {
+        this.encoding = resolveEncoding(data.encoding, this.offeredEncodings);
+        this._log(`Server speaks protocol v${data.v} (client v${PROTOCOL_VERSION}), encoding: ${this.encoding}`);
+        if (data.v > PROTOCOL_VERSION) {
+            console.warn(`${this.logPrefix} Server protocol is newer - unknown frame types will be ignored`);
+        }
+        this._setConnectionState({ protocolVersion: data.v, encoding: this.encoding });
+    }
+
+    /**
+     * Write a frame to the open socket in the agreed encoding
+     * @param {Object|string} frame - Frame object or JSON string
+     */
+    _transmit(frame) {
+        this.socket.send(encodeFrame(frame, this.encoding));
+    }
+
+    /**
+     * Backoff delay for a retry attempt: exponential, capped, with equal jitter
+     * so tabs on many devices don't reconnect in lockstep after an outage
+     * @param {number} attempt - 1-based retry attempt
+     * @returns {number} - Delay in ms
+     */
+    _getRetryDelay(attempt) {
+        const ceiling = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1));
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+
+    _scheduleRetry() {
+        if (navigator.onLine === false) {
+            this._log('Device offline - retry deferred until network is back');
+            this._setConnectionState({ status: CONNECTION_STATUS.OFFLINE, nextRetryAt: null });
+            return;
+        }
+
+        this.retryAttempt += 1;
+        const delay = this._getRetryDelay(this.retryAttempt);
+        this._log(`Retrying WebSocket connection in ${delay}ms (attempt ${this.retryAttempt})...`);
+
+        this._setConnectionState({
+            status: CONNECTION_STATUS.RECONNECTING,
+            attempt: this.retryAttempt,
+            nextRetryAt: Date.now() + delay
+        });
+
+        this.retryTimer = setTimeout(() => {
+            this.retryTimer = null;
+            if (this.activeThreads.size > 0) {
+                this._createWebSocket();
+            }
+        }, delay);
+    }
+
+    /**
+     * Update the connection state and report it to the host
+     * @param {Object} patch - Fields to change
+     */
+    _setConnectionState(patch) {
+        this.connectionState = { ...this.connectionState, ...patch, updatedAt: Date.now() };
+        this.onStateChange(this.connectionState);
+    }
+
+    /**
+     * Stream frames are relayed one by one
+     * @param {string} threadId - Thread ID
+     * @param {Object} data - Parsed frame
+     */
+    _deliver(threadId, data) {
+        this.onMessage(threadId, this._trackStream(threadId, data));
+    }
+
+    _getCursor(threadId) {
+        if (!this.cursors.has(threadId)) {
+            this.cursors.set(threadId, { lastSeq: null, buffer: new Map(), gapTimer: null });
+        }
+        return this.cursors.get(threadId);
+    }
+
+    /**
+     * Apply a frame carrying a per-thread `seq` exactly once and in order.
+     * Replayed or duplicate frames (seq already seen) are dropped; frames
+     * arriving after a gap wait until the replay fills it.
+     * @param {string} threadId - Thread ID
+     * @param {Object} frame - Parsed frame with a numeric seq
+     */
+    _receiveSequenced(threadId, frame) {
+        const cursor = this._getCursor(threadId);
+
+        if (cursor.lastSeq !== null && frame.seq <= cursor.lastSeq) {
+            this._log(`Dropping already applied frame ${frame.seq} for thread: ${threadId}`);
+            return;
+        }
+
+        if (cursor.lastSeq === null || frame.seq === cursor.lastSeq + 1) {
+            this._applySequenced(threadId, cursor, frame);
+            this._drainBuffer(threadId, cursor);
+            return;
+        }
+
+        // Missed frames - hold this one and ask the server to fill the gap
+        cursor.buffer.set(frame.seq, frame);
+        if (!cursor.gapTimer) {
+            console.warn(`${this.logPrefix} Gap in thread ${threadId}: expected seq ${cursor.lastSeq + 1}, got ${frame.seq} - requesting replay`);
+            this._sendResume([threadId]);
+            cursor.gapTimer = setTimeout(() => this._skipGap(threadId), SEQUENCE_GAP_TIMEOUT_MS);
+        }
+    }
+
+    _applySequenced(threadId, cursor, frame) {
+        cursor.lastSeq = frame.seq;
+        this._deliver(threadId, frame);
+    }
+
+    _drainBuffer(threadId, cursor) {
+        while (cursor.buffer.has(cursor.lastSeq + 1)) {
+            const next = cursor.buffer.get(cursor.lastSeq + 1);
+            cursor.buffer.delete(next.seq);
+            this._applySequenced(threadId, cursor, next);
+        }
+
+        if (cursor.buffer.size === 0 && cursor.gapTimer) {
+            clearTimeout(cursor.gapTimer);
+            cursor.gapTimer = null;
+        }
+    }
+
+    /**
+     * The replay never came: apply what we have in order and accept the loss
+     * @param {string} threadId - Thread ID
+     */
+    _skipGap(threadId) {
+        const cursor = this.cursors.get(threadId);
+        if (!cursor) return;
+
+        cursor.gapTimer = null;
+        console.warn(`${this.logPrefix} Replay for thread ${threadId} did not arrive - skipping missing frames`);
+
+        [...cursor.buffer.keys()].sort((a, b) => a - b).forEach(seq => {
+            this._applySequenced(threadId, cursor, cursor.buffer.get(seq));
+        });
+        cursor.buffer.clear();
+    }
+
+    /**
+     * Drop frames held behind a gap; after a reconnect the resume replays them anyway
+     */
+    _resetGaps() {
+        this.cursors.forEach(cursor => {
+            if (cursor.gapTimer) clearTimeout(cursor.gapTimer);
+            cursor.gapTimer = null;
+            cursor.buffer.clear();
+        });
+    }
+
+    /**
+     * Ask the server to replay frames after the last seen seq of each thread
+     * @param {Array<string>} threadIds - Threads to resume (those never seen are skipped)
+     */
+    _sendResume(threadIds) {
+        if (!this.socket || this.socket.readyState !== WebSocket.OPEN) return;
+
+        const cursors = {};
+        threadIds.forEach(threadId => {
+            const lastSeq = this.cursors.get(threadId)?.lastSeq;
+            if (lastSeq !== null && lastSeq !== undefined) cursors[threadId] = lastSeq;
+        });
+        if (Object.keys(cursors).length === 0) return;
+
+        this._log(`Resuming ${Object.keys(cursors).length} threads from their last seen frames`);
+        this._transmit({ type: CONTROL_FRAME_TYPES.RESUME, cursors });
+    }
+
+    /**
+     * Accumulate streamed text per thread so the END frame always carries the
+     * full answer. Tabs that missed some deltas (e.g. opened mid-stream) can
+     * then replace their partial bubble with the complete reply.
+     * @param {string} threadId - Thread ID
+     * @param {Object} data - Parsed frame
+     * @returns {Object} - Frame to deliver to subscribers
+     */
+    _trackStream(threadId, data) {
+        const key = data.clientMessageId || threadId;
+
+        switch (data.type) {
+            case STREAM_FRAME_TYPES.START:
+                this.streams.set(key, '');
+                return data;
+
+            case STREAM_FRAME_TYPES.DELTA:
+                this.streams.set(key, (this.streams.get(key) || '') + (data.delta || ''));
+                return data;
+
+            case STREAM_FRAME_TYPES.END: {
+                const accumulated = this.streams.get(key) || '';
+                this.streams.delete(key);
+                return { ...data, reply: data.reply ?? accumulated };
+            }
+
+            case FRAME_TYPES.ERROR:
+                this.streams.delete(key);
+                return data;
+
+            default:
+                return data;
+        }
+    }
+
+    _flushMessageQueue() {
+        if (this.messageQueue.length === 0) return;
+
+        this._log(`Flushing ${this.messageQueue.length} queued messages`);
+
+        const queue = this.messageQueue;
+        this.messageQueue = [];
+
+        queue.forEach(entry => {
+            if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+                this._transmit(entry.message);
+            } else {
+                this.messageQueue.push(entry);
+            }
+        });
+    }
+
+    /**
+     * Send every outbox message in creation order. Stops (keeping the rest)
+     * if the socket drops midway.
+     */
+    async _flushOutbox() {
+        if (!this.scope) return;
+
+        let entries;
+        try {
+            entries = await outboxService.getAll(this.scope);
+        } catch (err) {
+            console.error(`${this.logPrefix} Error reading outbox:`, err);
+            return;
+        }
+
+        if (entries.length === 0) return;
+
+        this._log(`Flushing ${entries.length} outbox messages`);
+
+        for (const entry of entries) {
+            if (!this.socket || this.socket.readyState !== WebSocket.OPEN) {
+                this._log('Socket dropped while flushing outbox - keeping remaining messages');
+                return;
+            }
+
+            this._transmit(entry.message);
+
+            try {
+                await outboxService.remove(entry.clientMessageId);
+            } catch (err) {
+                // The server dedupes by clientMessageId if this gets resent
+                console.error(`${this.logPrefix} Error removing sent message from outbox:`, err);
+            }
+
+            this.onMessage(entry.threadId, {
+                type: OUTBOX_EVENT_TYPES.FLUSHED,
+                threadId: entry.threadId,
+                clientMessageId: entry.clientMessageId
+            });
+        }
+
+        if (this.activeThreads.size === 0) {
+            this._scheduleDisconnect();
+        }
+    }
+
+    /**
+     * Persist a message that can't be sent now and tell every tab it is
+     * pending. Until the user scope is known it is held in memory; if it can't
+     * be stored the tabs are told it failed.
+     * @param {string} threadId - Thread ID
+     * @param {string} clientMessageId - Correlation ID
+     * @param {string} message - Serialized frame
+     * @returns {Promise<void>}
+     */
+    _enqueueOutbox(threadId, clientMessageId, message) {
+        if (!this.scope) {
+            this.unscopedOutbox.push({ threadId, clientMessageId, message });
+            this.onMessage(threadId, { type: OUTBOX_EVENT_TYPES.QUEUED, threadId, clientMessageId });
+            return Promise.resolve();
+        }
+
+        let content = '';
+        try {
+            content = JSON.parse(message).content || '';
+        } catch {
+            // Frame is always JSON, content is only used for display
+        }
+
+        return outboxService.enqueue({ scope: this.scope, clientMessageId, threadId, message, content })
+            .then(() => {
+                this.onMessage(threadId, {
+                    type: OUTBOX_EVENT_TYPES.QUEUED,
+                    threadId,
+                    clientMessageId
+                });
+            })
+            .catch(err => {
+                console.error(`${this.logPrefix} Error writing to outbox:`, err);
+                this.onMessage(threadId, {
+                    type: OUTBOX_EVENT_TYPES.FAILED,
+                    threadId,
+                    clientMessageId,
+                    message: 'The message could not be saved for sending later.'
+                });
+            });
+    }
+
+    /**
+     * Move messages queued while connecting into the durable outbox
+     * (the connection attempt failed or the socket is being closed)
+     */
+    _moveQueueToOutbox() {
+        if (this.messageQueue.length === 0) return;
+
+        this._log(`Moving ${this.messageQueue.length} queued messages to outbox`);
+        this.messageQueue.forEach(({ threadId, clientMessageId, message }) => {
+            this._enqueueOutbox(threadId, clientMessageId, message);
+        });
+        this.messageQueue = [];
+    }
+
+    // ========== PUBLIC API ==========
+
+    /**
+     * Connect if any thread is registered or the outbox still holds messages
+     * (e.g. from before a reload). Called when a new host takes over.
+     */
+    resume() {
+        if (this.activeThreads.size > 0) {
+            this._scheduleConnect();
+            return;
+        }
+
+        if (!this.scope) return;
+
+        outboxService.count(this.scope)
+            .then(count => {
+                if (count > 0 && !this.disposed) {
+                    this._log(`${count} messages waiting in outbox - connecting`);
+                    this._scheduleConnect();
+                }
+            })
+            .catch(err => console.error(`${this.logPrefix} Error reading outbox:`, err));
+    }
+
+    /**
+     * Register a thread (signals that we need the WebSocket)
+     * @param {string} threadId - Thread ID
+     */
+    registerThread(threadId) {
+        const isNew = !this.activeThreads.has(threadId);
+        this.activeThreads.add(threadId);
+        this._scheduleConnect();
+
+        // Joined an open socket with a known cursor (e.g. handed over from a previous owner)
+        if (isNew) this._sendResume([threadId]);
+    }
+
+    /**
+     * Unregister a thread; the socket closes once no thread needs it
+     * @param {string} threadId - Thread ID
+     */
+    unregisterThread(threadId) {
+        this.activeThreads.delete(threadId);
+
+        // History is reloaded over REST when the thread is opened again
+        const cursor = this.cursors.get(threadId);
+        if (cursor?.gapTimer) clearTimeout(cursor.gapTimer);
+        this.cursors.delete(threadId);
+
+        if (this.activeThreads.size === 0) {
+            this._scheduleDisconnect();
+        }
+    }
+
+    /**
+     * Send a frame for a thread, queuing it (or storing it in the outbox)
+     * while the socket is not open
+     * @param {string} threadId - Thread ID
+     * @param {string|Object} payload - Message text, JSON string or frame object
+     * @returns {boolean}
+     */
+    send(threadId, payload) {
+        if (this.disposed) return false;
+
+        // Ensure payload includes threadId and a correlation ID
+        let parsed;
+        try {
+            parsed = typeof payload === 'string' ? JSON.parse(payload) : payload;
+            // An explicit null (thread-wide cancel) is kept as-is
+            const clientMessageId = 'clientMessageId' in parsed ? parsed.clientMessageId : uuidv4();
+            parsed = { ...parsed, threadId, clientMessageId };
+        } catch {
+            // Plain text message
+            parsed = { threadId, clientMessageId: uuidv4(), content: payload };
+        }
+        const message = JSON.stringify(parsed);
+        const { clientMessageId } = parsed;
+
+        if (parsed.type === CONTROL_FRAME_TYPES.CANCEL) {
+            this.streams.delete(clientMessageId || threadId);
+        }
+
+        if (this.socket && this.socket.readyState === WebSocket.OPEN && !this.isFlushingOutbox) {
+            this._transmit(message);
+            return true;
+        }
+
+        if (this._isOpenOrConnecting()) {
+            this._log('WebSocket connecting - queuing message');
+            this.messageQueue.push({ threadId, clientMessageId, message });
+            return true;
+        }
+
+        // Socket is down: a queued question is simply withdrawn by its cancel
+        if (parsed.type === CONTROL_FRAME_TYPES.CANCEL) {
+            if (clientMessageId) {
+                outboxService.remove(clientMessageId)
+                    .catch(err => console.error(`${this.logPrefix} Error removing cancelled message from outbox:`, err));
+            }
+            return true;
+        }
+
+        this._log('WebSocket not available - storing message in outbox');
+        this._enqueueOutbox(threadId, clientMessageId, message);
+        this._scheduleConnect();
+        return true;
+    }
+
+    /**
+     * Close the socket now. Unsent messages move to the outbox.
+     */
+    close() {
+        if (this.retryTimer) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+        }
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+
+        this._stopKeepalive();
+        this._resetGaps();
+        this._moveQueueToOutbox();
+        this._setConnectionState({ status: CONNECTION_STATUS.IDLE, attempt: 0, nextRetryAt: null, latencyMs: null, protocolVersion: null, encoding: null, compression: null });
+    }
+
+    /**
+     * Forget everything tied to the signed-in user: the socket, its token,
+     * threads, cursors, streams and messages waiting to be sent. Unlike
+     * close(), nothing moves to the outbox.
+     */
+    reset() {
+        this._log('Resetting connection state');
+        if (this.connectTimer) clearTimeout(this.connectTimer);
+        if (this.disconnectTimer) clearTimeout(this.disconnectTimer);
+        this.connectTimer = null;
+        this.disconnectTimer = null;
+
+        this.messageQueue = [];
+        this.unscopedOutbox = [];
+        this.close();
+        this.activeThreads.clear();
+        this.streams.clear();
+        this.cursors.clear();
+        this.authToken = null;
+        this.authRejected = false;
+        this.scope = null;
+    }
+
+    /**
+     * Close the socket and stop reacting to network events for good
+     * (the host is handing the connection over)
+     */
+    dispose() {
+        if (this.connectTimer) clearTimeout(this.connectTimer);
+        if (this.disconnectTimer) clearTimeout(this.disconnectTimer);
+        this.connectTimer = null;
+        this.disconnectTimer = null;
+
+        this.close();
+        this.disposed = true;
+        this.activeThreads.clear();
+        this.streams.clear();
+
+        globalThis.removeEventListener('online', this._handleOnline);
+        globalThis.removeEventListener('offline', this._handleOffline);
+    }
+
+    /**
+     * Skip the backoff wait and reconnect immediately
+     */
+    retryNow() {
+        if (this._isOpenOrConnecting()) return;
+
+        this._log('Manual retry requested');
+        this._createWebSocket();
+    }
+
+    /**
+     * Reconnect now if a retry is scheduled (e.g. the device just woke up)
+     */
+    retryIfPending() {
+        if (!this.retryTimer) return;
+
+        this._log('Retry pending - reconnecting now');
+        this._createWebSocket();
+    }
+
+    /**
+     * Use the outbox of a user. Messages held until now and the ones they
+     * left queued (e.g. before a reload) are sent right away, or once the
+     * socket opens. Null (the token expired) keeps the current scope - it
+     * only changes on reset().
+     * @param {string|null} scope - User scope
+     */
+    setScope(scope) {
+        if (!scope || scope === this.scope) return;
+        this.scope = scope;
+        if (this.disposed) return;
+
+        const held = this.unscopedOutbox;
+        this.unscopedOutbox = [];
+        Promise.all(held.map(({ threadId, clientMessageId, message }) => this._enqueueOutbox(threadId, clientMessageId, message)))
+            .then(() => {
+                if (this.disposed || this.scope !== scope) return;
+                if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+                    this._flushOutbox();
+                } else {
+                    this.resume();
+                }
+            });
+    }
+
+    /**
+     * Use a new access token. A socket that was rejected reconnects with it;
+     * an open socket gets it in an auth frame (e.g. after a refresh).
+     * @param {string|null} token - Access token
+     */
+    setAuthToken(token) {
+        if (token === this.authToken) return;
+        this.authToken = token;
+        if (!token) return;
+
+        if (this.authRejected) {
+            this._log('New access token - reconnecting');
+            this.authRejected = false;
+            this._setConnectionState({ status: CONNECTION_STATUS.IDLE, attempt: 0, nextRetryAt: null });
+            this.retryAttempt = 0;
+            this.resume();
+            return;
+        }
+
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this._transmit({ type: CONTROL_FRAME_TYPES.AUTH, token });
+        }
+    }
+
+    /**
+     * Adopt sequence cursors observed elsewhere (a new leader seeds them from
+     * the frames it saw relayed by the previous one)
+     * @param {Object} cursors - { [threadId]: lastSeq }
+     */
+    seedCursors(cursors) {
+        Object.entries(cursors).forEach(([threadId, lastSeq]) => {
+            const cursor = this._getCursor(threadId);
+            if (cursor.lastSeq === null || lastSeq > cursor.lastSeq) cursor.lastSeq = lastSeq;
+        });
+    }
+
+    /**
+     * Change keepalive timing at runtime
+     * @param {Object} keepalive - { intervalMs, timeoutMs }
+     */
+    configureKeepalive(keepalive) {
+        this.keepalive = keepalive;
+
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+            this._startKeepalive();
+        }
+    }
+
+    /**
+     * Current connection state
+     * @returns {{ status: string, attempt: number, nextRetryAt: number|null, latencyMs: number|null, updatedAt: number }}
+     */
+    getState() {
+        return this.connectionState;
+    }
+}
+
+export default MultiplexedSocket;
@@ -0,0 +1,102 @@
+/**
+ * NotificationService
+ *
+ * Optional desktop notifications for answers that finish while the window
+ * is hidden. Off until the user turns them on (which asks the browser for
+ * permission); the choice is remembered per user.
+ */
+
+import { scopedKey } from './userScope';
+
+const PREF_KEY = 'exim-notifications';
+const BODY_MAX_LENGTH = 140;
+
+class NotificationService {
+    /**
+     * Whether this browser can show notifications
+     * @returns {boolean}
+     */
+    isSupported() {
+        return typeof window !== 'undefined' && 'Notification' in window;
+    }
+
+    /**
+     * Browser permission: 'default', 'granted', 'denied' (or 'unsupported')
+     * @returns {string}
+     */
+    getPermission() {
+        return this.isSupported() ? Notification.permission : 'unsupported';
+    }
+
+    /**
+     * Whether notifications are turned on and allowed
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.getPermission() === 'granted' && localStorage.getItem(scopedKey(PREF_KEY)) === 'on';
+    }
+
+    /**
+     * Turn notifications on, asking for permission if needed.
+     * Call from a user gesture - browsers ignore permission requests otherwise.
+     * @returns {Promise<boolean>} - Whether they are now on
+     */
+    async enable() {
+        if (!this.isSupported()) return false;
+
+        const permission = Notification.permission === 'granted'
+            ? 'granted'
+            : await Notification.requestPermission();
+
+        if (permission !== 'granted') {
+            console.warn(`[Notifications] Permission ${permission}`);
+            return false;
+        }
+
+        localStorage.setItem(scopedKey(PREF_KEY), 'on');
+        console.log('[Notifications] Enabled');
+        return true;
+    }
+
+    /**
+     * Turn notifications off (the browser permission is left as is)
+     */
+    disable() {
+        localStorage.removeItem(scopedKey(PREF_KEY));
+        console.log('[Notifications] Disabled');
+    }
+
+    /**
+     * Show a notification if they are on
+     * @param {Object} options
+     * @param {string} options.title - Notification title
+     * @param {string} [options.body] - Text, shortened to one line or two
+     * @param {string} [options.tag] - Replaces an earlier notification with the same tag
+     * @param {Function} [options.onClick] - Called after the window is focused
+     * @returns {Notification|null}
+     */
+    notify({ title, body = '', tag, onClick }) {
+        if (!this.isEnabled()) return null;
+
+        try {
+            const text = body.length > BODY_MAX_LENGTH ? `${body.slice(0, BODY_MAX_LENGTH - 1)}…` : body;
+            const notification = new Notification(title, { body: text, tag });
+
+            notification.onclick = () => {
+                window.focus();
+                onClick?.();
+                notification.close();
+            };
+            console.log(`[Notifications] Shown: ${tag ?? title}`);
+            return notification;
+        } catch (err) {
+            // e.g. Android Chrome only allows notifications from a service worker
+            console.error('[Notifications] Error showing notification:', err);
+            return null;
+        }
+    }
+}
+
+// Export singleton instance
+const notificationService = new NotificationService();
+export default notificationService;
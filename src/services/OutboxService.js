@@ -0,0 +1,97 @@
+/**
+ * OutboxService
+ *
+ * Durable queue of chat messages that could not be sent because the
+ * WebSocket was down. Entries are persisted in IndexedDB so they survive
+ * reloads, and are flushed in creation order when the leader reconnects.
+ *
+ * Every entry carries the user scope it was queued under, and every read
+ * and flush is limited to one scope, so one user's messages are never sent
+ * on another user's socket. The scope is passed in rather than read here:
+ * the shared worker that flushes the outbox has no access to the session.
+ */
+
+import indexedDbService, { STORES } from './IndexedDbService';
+
+const byCreatedAt = (a, b) => a.createdAt - b.createdAt;
+
+class OutboxService {
+    /**
+     * Queue a message for later delivery
+     * @param {Object} entry
+     * @param {string} entry.scope - User scope the message was sent under
+     * @param {string} entry.clientMessageId - Correlation ID of the message
+     * @param {string} entry.threadId - Thread ID
+     * @param {string} entry.message - Serialized frame, sent verbatim on flush
+     * @param {string} [entry.content] - Message text, used to render the pending turn after reload
+     * @returns {Promise<void>}
+     */
+    async enqueue({ scope, clientMessageId, threadId, message, content = '' }) {
+        if (!scope) {
+            throw new Error('Outbox entries need a user scope');
+        }
+
+        await indexedDbService.put(STORES.OUTBOX, {
+            scope,
+            clientMessageId,
+            threadId,
+            message,
+            content,
+            createdAt: Date.now()
+        });
+        console.log(`[Outbox] Queued message ${clientMessageId} for thread: ${threadId}`);
+    }
+
+    /**
+     * Get a user's queued messages, oldest first
+     * @param {string} scope - User scope
+     * @returns {Promise<Array>}
+     */
+    async getAll(scope) {
+        const entries = await indexedDbService.getAllByIndex(STORES.OUTBOX, 'scope', scope);
+        return entries.sort(byCreatedAt);
+    }
+
+    /**
+     * Get a user's queued messages for a thread, oldest first
+     * @param {string} scope - User scope
+     * @param {string} threadId - Thread ID
+     * @returns {Promise<Array>}
+     */
+    async getByThread(scope, threadId) {
+        const entries = await indexedDbService.getAllByIndex(STORES.OUTBOX, 'scopeThread', [scope, threadId]);
+        return entries.sort(byCreatedAt);
+    }
+
+    /**
+     * Remove a message once it has been sent (or cancelled)
+     * @param {string} clientMessageId - Correlation ID of the message
+     * @returns {Promise<void>}
+     */
+    async remove(clientMessageId) {
+        await indexedDbService.delete(STORES.OUTBOX, clientMessageId);
+    }
+
+    /**
+     * Drop a user's queued messages (e.g. on sign-out)
+     * @param {string} scope - User scope
+     * @returns {Promise<void>}
+     */
+    async clear(scope) {
+        await indexedDbService.deleteByIndex(STORES.OUTBOX, 'scope', scope);
+        console.log('[Outbox] Cleared');
+    }
+
+    /**
+     * Number of a user's queued messages
+     * @param {string} scope - User scope
+     * @returns {Promise<number>}
+     */
+    count(scope) {
+        return indexedDbService.countByIndex(STORES.OUTBOX, 'scope', scope);
+    }
+}
+
+// Export singleton instance
+const outboxService = new OutboxService();
+export default outboxService;
@@ -1,173 +1,252 @@
 /**
  * ResponseCacheService
- * 
- * Manages response caching for inactive tabs using localStorage.
- * Responses received while a tab is inactive are cached and 
- * loaded when the tab becomes visible again.
+ *
+ * Caches replies that arrive while a tab is hidden so they can be surfaced
+ * when it becomes visible again.
+ *
+ * Entries live in the IndexedDB 'responses' store, keyed by
+ * [user scope, threadId, messageId]; nothing is kept in memory. A thread's
+ * entries are read through a key range, and the 'lru' index
+ * ([scope, accessedAt, size]) gives the user's entries in least recently
+ * used order with their sizes, so the budget check never loads a reply.
+ * Above API_CONFIG.responseCache.BUDGET_BYTES the least recently used
+ * entries are evicted; caching a message again counts as a use.
+ * Stored replies are sealed by LocalDataService (encrypted when enabled);
+ * ones that can't be opened any more are dropped when read.
  */
 
-const CACHE_KEY_PREFIX = 'exim-ws-cache-';
+import API_CONFIG from './api.config';
+import authService from './AuthService';
+import indexedDbService, { STORES } from './IndexedDbService';
+import localDataService from './LocalDataService';
+import { getUserScope } from './userScope';
+
 const CACHE_EXPIRY_MS = 24 * 60 * 60 * 1000; // 24 hours
+const LEGACY_KEY_PREFIX = 'exim-ws-cache-'; // localStorage keys used before the IndexedDB store
+const LEGACY_REMOVED_KEY = 'exim-ws-cache-migrated'; // Set once the legacy keys are gone
+
+const textEncoder = new TextEncoder();
+const byCachedAt = (a, b) => a.cachedAt - b.cachedAt;
+
+/**
+ * Primary key range covering every entry of a thread
+ * @param {string} scope - User scope
+ * @param {string} threadId - Thread ID
+ * @returns {IDBKeyRange}
+ */
+const threadRange = (scope, threadId) => IDBKeyRange.bound([scope, threadId], [scope, threadId, []]);
 
 class ResponseCacheService {
     constructor() {
-        // Cleanup old cache entries on initialization
-        this._cleanupExpiredCache();
-    }
+        this.budgetBytes = API_CONFIG.responseCache.BUDGET_BYTES;
+        // Writes are chained so reads and deletes never overtake the put they follow (sealing is async)
+        this.writes = Promise.resolve();
 
-    /**
-     * Generate cache key for a thread
-     * @param {string} threadId - Thread ID
-     * @returns {string} - localStorage key
-     */
-    _getCacheKey(threadId) {
-        return `${CACHE_KEY_PREFIX}${threadId}`;
+        this.ready = this._cleanUp();
+
+        // Cached replies belong to the user who received them
+        authService.onSignOut(() => this.clearAll());
     }
 
     /**
-     * Cache a response for a thread
-     * @param {string} threadId - Thread ID
-     * @param {Object} response - Response object to cache
+     * Drop expired entries (and, once, what older versions left in localStorage)
+     * @returns {Promise<void>}
      */
-    cacheResponse(threadId, response) {
-        const cacheKey = this._getCacheKey(threadId);
+    async _cleanUp() {
+        this._removeLegacyCache();
+        if (!indexedDbService.isSupported()) return;
 
         try {
-            // Get existing cache
-            const existingData = localStorage.getItem(cacheKey);
-            let cacheArray = [];
-
-            if (existingData) {
-                try {
-                    cacheArray = JSON.parse(existingData);
-                } catch (e) {
-                    cacheArray = [];
-                }
+            const expired = await indexedDbService.deleteByIndex(
+                STORES.RESPONSES,
+                'cachedAt',
+                IDBKeyRange.upperBound(Date.now() - CACHE_EXPIRY_MS)
+            );
+            if (expired > 0) {
+                console.log(`[ResponseCache] Cleaned up ${expired} expired cache entries`);
             }
+        } catch (err) {
+            console.error('[ResponseCache] Error removing expired responses:', err);
+        }
+    }
 
-            // Add new response with timestamp
-            cacheArray.push({
-                response,
-                cachedAt: Date.now()
-            });
+    /**
+     * Remove entries left in localStorage by older versions of the app.
+     * Runs until it has succeeded once.
+     */
+    _removeLegacyCache() {
+        if (localStorage.getItem(LEGACY_REMOVED_KEY)) return;
 
-            // Store updated cache
-            localStorage.setItem(cacheKey, JSON.stringify(cacheArray));
+        const legacyKeys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(LEGACY_KEY_PREFIX)) legacyKeys.push(key);
+        }
 
-            console.log(`[ResponseCache] Cached response for thread: ${threadId}`);
-        } catch (err) {
-            console.error('[ResponseCache] Error caching response:', err);
+        legacyKeys.forEach(key => localStorage.removeItem(key));
+        localStorage.setItem(LEGACY_REMOVED_KEY, '1');
+        if (legacyKeys.length > 0) {
+            console.log(`[ResponseCache] Removed ${legacyKeys.length} legacy localStorage cache entries`);
         }
     }
 
     /**
-     * Get and clear cached responses for a thread
+     * Run an IndexedDB operation after the writes queued before it
+     * @param {Function} operation - () => Promise
+     * @param {string} action - For the error log
+     * @returns {Promise<*>} - Result of the operation (undefined if it failed)
+     */
+    _queue(operation, action) {
+        const result = this.writes.then(operation).catch(err => {
+            console.error(`[ResponseCache] Error ${action}:`, err);
+        });
+        this.writes = result;
+        return result;
+    }
+
+    /**
+     * Read a thread's entries and open their responses. Entries that can't
+     * be opened (sealed with a key the server no longer hands out) are deleted.
+     * @param {string} scope - User scope
      * @param {string} threadId - Thread ID
-     * @returns {Array} - Array of cached response objects
+     * @returns {Promise<Array>} - Records with their responses opened
      */
-    getAndClearCache(threadId) {
-        const cacheKey = this._getCacheKey(threadId);
+    async _readThread(scope, threadId) {
+        const stored = await indexedDbService.getAll(STORES.RESPONSES, threadRange(scope, threadId));
+        const unreadable = [];
+        const records = [];
+
+        for (const record of stored) {
+            try {
+                records.push({ ...record, response: await localDataService.open(record.response) });
+            } catch {
+                unreadable.push([record.scope, record.threadId, record.messageId]);
+            }
+        }
 
-        try {
-            const cacheData = localStorage.getItem(cacheKey);
+        if (unreadable.length > 0) {
+            console.log(`[ResponseCache] Dropping ${unreadable.length} cached responses that can no longer be decrypted`);
+            await indexedDbService.deleteMany(STORES.RESPONSES, unreadable);
+        }
+        return records;
+    }
 
-            if (!cacheData) {
-                return [];
-            }
+    /**
+     * Evict least recently used entries until the user's cache fits its byte budget
+     * @param {string} scope - User scope
+     * @returns {Promise<void>}
+     */
+    async _enforceBudget(scope) {
+        const entries = await indexedDbService.getIndexKeys(STORES.RESPONSES, 'lru', IDBKeyRange.bound([scope], [scope, []]));
+        let totalBytes = entries.reduce((sum, { key }) => sum + key[2], 0);
+        if (totalBytes <= this.budgetBytes) return;
+
+        const evicted = [];
+        for (const { key, primaryKey } of entries) {
+            if (totalBytes <= this.budgetBytes) break;
+            totalBytes -= key[2];
+            evicted.push(primaryKey);
+        }
 
-            const cacheArray = JSON.parse(cacheData);
+        await indexedDbService.deleteMany(STORES.RESPONSES, evicted);
+        console.log(`[ResponseCache] Evicted ${evicted.length} cached responses to stay under ${this.budgetBytes} bytes`);
+    }
 
-            // Clear the cache
-            localStorage.removeItem(cacheKey);
+    // ========== PUBLIC API ==========
 
-            // Filter out expired entries and return responses
-            const now = Date.now();
-            const validResponses = cacheArray
-                .filter(item => now - item.cachedAt < CACHE_EXPIRY_MS)
-                .map(item => item.response);
+    /**
+     * Cache a response for a thread (stored in the background)
+     * @param {string} threadId - Thread ID
+     * @param {Object} response - Response object to cache ({ messageId?, replyTo?, reply, timestamp, ... })
+     */
+    cacheResponse(threadId, response) {
+        if (!indexedDbService.isSupported()) return;
 
-            console.log(`[ResponseCache] Retrieved ${validResponses.length} cached responses for thread: ${threadId}`);
+        const scope = getUserScope();
+        const now = Date.now();
+        const messageId = String(response.messageId ?? response.timestamp ?? now);
+        const size = textEncoder.encode(JSON.stringify(response)).length;
 
-            return validResponses;
-        } catch (err) {
-            console.error('[ResponseCache] Error getting cached responses:', err);
-            return [];
+        if (size > this.budgetBytes) {
+            console.warn(`[ResponseCache] Response for thread ${threadId} is larger than the cache budget, not caching`);
+            return;
         }
+
+        this._queue(async () => {
+            // Same message cached again (e.g. END after REPLY): replace it, keeping its age
+            const existing = await indexedDbService.get(STORES.RESPONSES, [scope, threadId, messageId]);
+
+            await indexedDbService.put(STORES.RESPONSES, {
+                scope,
+                threadId,
+                messageId,
+                response: await localDataService.seal(response),
+                size,
+                cachedAt: existing?.cachedAt ?? now,
+                accessedAt: now
+            });
+            console.log(`[ResponseCache] Cached response for thread: ${threadId}`);
+
+            await this._enforceBudget(scope);
+        }, 'caching response');
     }
 
     /**
-     * Check if there are pending cached responses for a thread
+     * Get and clear cached responses for a thread
      * @param {string} threadId - Thread ID
-     * @returns {boolean}
+     * @returns {Promise<Array>} - Array of cached response objects, oldest first
      */
-    hasPendingResponses(threadId) {
-        const cacheKey = this._getCacheKey(threadId);
-        const cacheData = localStorage.getItem(cacheKey);
+    async getAndClearCache(threadId) {
+        if (!indexedDbService.isSupported()) return [];
 
-        if (!cacheData) return false;
+        const scope = getUserScope();
+        const responses = await this._queue(async () => {
+            const records = await this._readThread(scope, threadId);
+            if (records.length === 0) return [];
 
-        try {
-            const cacheArray = JSON.parse(cacheData);
-            return cacheArray.length > 0;
-        } catch {
-            return false;
-        }
+            await indexedDbService.delete(STORES.RESPONSES, threadRange(scope, threadId));
+
+            // Filter out expired entries and return responses
+            const now = Date.now();
+            const validResponses = records
+                .filter(record => now - record.cachedAt < CACHE_EXPIRY_MS)
+                .sort(byCachedAt)
+                .map(record => record.response);
+
+            console.log(`[ResponseCache] Retrieved ${validResponses.length} cached responses for thread: ${threadId}`);
+            return validResponses;
+        }, 'getting cached responses');
+
+        return responses ?? [];
     }
 
     /**
      * Clear all cached responses for a thread
      * @param {string} threadId - Thread ID
+     * @returns {Promise<void>}
      */
-    clearCache(threadId) {
-        const cacheKey = this._getCacheKey(threadId);
-        localStorage.removeItem(cacheKey);
+    async clearCache(threadId) {
+        if (!indexedDbService.isSupported()) return;
+
+        const scope = getUserScope();
+        await this._queue(() => indexedDbService.delete(STORES.RESPONSES, threadRange(scope, threadId)), 'clearing thread cache');
     }
 
     /**
-     * Cleanup expired cache entries
-     * Called on service initialization
+     * Clear every cached response of the signed-in user
+     * @returns {Promise<void>}
      */
-    _cleanupExpiredCache() {
-        const now = Date.now();
-        const keysToRemove = [];
-
-        // Find all our cache keys
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && key.startsWith(CACHE_KEY_PREFIX)) {
-                try {
-                    const cacheData = localStorage.getItem(key);
-                    if (cacheData) {
-                        const cacheArray = JSON.parse(cacheData);
-
-                        // Filter to only valid (non-expired) entries
-                        const validEntries = cacheArray.filter(
-                            item => now - item.cachedAt < CACHE_EXPIRY_MS
-                        );
-
-                        if (validEntries.length === 0) {
-                            keysToRemove.push(key);
-                        } else if (validEntries.length !== cacheArray.length) {
-                            // Some entries expired, update the cache
-                            localStorage.setItem(key, JSON.stringify(validEntries));
-                        }
-                    }
-                } catch (err) {
-                    // Invalid cache entry, remove it
-                    keysToRemove.push(key);
-                }
-            }
-        }
-
-        // Remove invalid/empty caches
-        keysToRemove.forEach(key => localStorage.removeItem(key));
-
-        if (keysToRemove.length > 0) {
-            console.log(`[ResponseCache] Cleaned up ${keysToRemove.length} expired cache entries`);
-        }
+    async clearAll() {
+        if (!indexedDbService.isSupported()) return;
+
+        const scope = getUserScope();
+        await this._queue(async () => {
+            await indexedDbService.deleteByIndex(STORES.RESPONSES, 'scope', scope);
+            console.log('[ResponseCache] Cleared');
+        }, 'clearing cache');
     }
 }
 
 // Export singleton instance
 const responseCacheService = new ResponseCacheService();
-export default responseCacheService;
\ No newline at end of file
+export default responseCacheService;
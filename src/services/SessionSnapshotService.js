@@ -0,0 +1,196 @@
+/**
+ * SessionSnapshotService
+ *
+ * Persists the open chat tabs (titles, drafts, attached files, scroll
+ * positions and the active tab) in the IndexedDB 'sessionSnapshots' store,
+ * one snapshot per user, so they can be restored after a reload or crash.
+ * Messages are not part of the snapshot; restored threads are re-fetched.
+ * Attached files are stored as Blobs in the 'snapshotFiles' store, one
+ * record per tab, written only when the tab's file changes - the frequent
+ * snapshot itself is metadata only. They come back as File objects.
+ * Tab details and files are sealed by LocalDataService (encrypted when
+ * enabled); a snapshot that can't be opened any more is ignored.
+ */
+
+import authService, { AUTH_STATUS } from './AuthService';
+import indexedDbService, { STORES } from './IndexedDbService';
+import localDataService from './LocalDataService';
+import { getUserScope } from './userScope';
+
+/**
+ * Store an attached file as a (sealed) Blob plus the metadata needed to rebuild it
+ * @param {File|null} file - Selected file
+ * @returns {Promise<Object|null>}
+ */
+const toStoredFile = async (file) => {
+    if (!file) return null;
+    return {
+        blob: await localDataService.sealBlob(new Blob([file], { type: file.type })),
+        meta: await localDataService.seal({ name: file.name, type: file.type, lastModified: file.lastModified })
+    };
+};
+
+/**
+ * Rebuild a File from its stored form
+ * @param {Object|null} stored - Value produced by toStoredFile
+ * @returns {Promise<File|null>}
+ */
+const fromStoredFile = async (stored) => {
+    if (!stored?.blob) return null;
+    const [blob, meta] = await Promise.all([localDataService.openBlob(stored.blob), localDataService.open(stored.meta)]);
+    return new File([blob], meta.name, { type: meta.type, lastModified: meta.lastModified });
+};
+
+class SessionSnapshotService {
+    constructor() {
+        this.storedFiles = new Map(); // sessionId -> File last written for that tab
+        // File writes are chained so a delete never overtakes the put it follows (sealing is async)
+        this.fileWrites = Promise.resolve();
+
+        // Drafts and attachments belong to the user who wrote them
+        authService.onSignOut(() => this.clear());
+    }
+
+    /**
+     * Queue a write to the files store
+     * @param {Function} write - () => Promise
+     */
+    _queueFileWrite(write) {
+        this.fileWrites = this.fileWrites.then(write).catch(err => {
+            console.error('[SessionSnapshot] Error saving attached file:', err);
+        });
+    }
+
+    /**
+     * Store the attached files of tabs whose file changed since the last
+     * save, and drop the files of tabs that are gone
+     * @param {string} scope - User scope
+     * @param {Array} sessions - Chat sessions
+     */
+    _syncFiles(scope, sessions) {
+        const openIds = new Set(sessions.map(s => s.id));
+
+        sessions.forEach(s => {
+            const file = s.selectedFile ?? null;
+            if ((this.storedFiles.get(s.id) ?? null) === file) return;
+
+            if (file) {
+                this.storedFiles.set(s.id, file);
+                this._queueFileWrite(async () => {
+                    await indexedDbService.put(STORES.SNAPSHOT_FILES, { scope, sessionId: s.id, file: await toStoredFile(file) });
+                });
+            } else {
+                this.storedFiles.delete(s.id);
+                this._queueFileWrite(() => indexedDbService.delete(STORES.SNAPSHOT_FILES, [scope, s.id]));
+            }
+        });
+
+        [...this.storedFiles.keys()].filter(id => !openIds.has(id)).forEach(id => {
+            this.storedFiles.delete(id);
+            this._queueFileWrite(() => indexedDbService.delete(STORES.SNAPSHOT_FILES, [scope, id]));
+        });
+    }
+
+    // ========== PUBLIC API ==========
+
+    /**
+     * Save the open tabs of the signed-in user (replaces the previous snapshot)
+     * @param {Array} sessions - Chat sessions from useChatSessions
+     * @param {string} activeSessionId - Selected tab
+     * @returns {Promise<void>}
+     */
+    async save(sessions, activeSessionId) {
+        // After sign-out (the page is about to reload) there is nothing left to save
+        if (!indexedDbService.isSupported() || authService.getState().status === AUTH_STATUS.ANONYMOUS) return;
+
+        try {
+            const scope = getUserScope();
+            this._syncFiles(scope, sessions);
+
+            const tabs = sessions.map(s => ({
+                id: s.id,
+                title: s.title,
+                inputValue: s.inputValue,
+                scrollPosition: s.scrollPosition,
+                lastAccessedAt: s.lastAccessedAt,
+                // Only tabs with history need re-fetching on restore
+                hasMessages: s.messages.length > 0 || !!s.needsLoad
+            }));
+
+            await indexedDbService.put(STORES.SESSION_SNAPSHOTS, {
+                scope,
+                savedAt: Date.now(),
+                activeSessionId,
+                sessions: await localDataService.seal(tabs)
+            });
+        } catch (err) {
+            console.error('[SessionSnapshot] Error saving snapshot:', err);
+        }
+    }
+
+    /**
+     * Load the signed-in user's snapshot
+     * @returns {Promise<{savedAt: number, activeSessionId: string, sessions: Array}|null>} - null when there is none
+     */
+    async load() {
+        if (!indexedDbService.isSupported()) return null;
+
+        try {
+            const scope = getUserScope();
+            const [snapshot, fileRecords] = await Promise.all([
+                indexedDbService.get(STORES.SESSION_SNAPSHOTS, scope),
+                indexedDbService.getAllByIndex(STORES.SNAPSHOT_FILES, 'scope', scope)
+            ]);
+
+            // Stored files count as written, so unchanged tabs aren't written again and closed ones get cleaned up
+            const files = new Map();
+            await Promise.all(fileRecords.map(async record => {
+                const file = await fromStoredFile(record.file).catch(() => null);
+                if (!file) {
+                    this._queueFileWrite(() => indexedDbService.delete(STORES.SNAPSHOT_FILES, [scope, record.sessionId]));
+                    return;
+                }
+                files.set(record.sessionId, file);
+                this.storedFiles.set(record.sessionId, file);
+            }));
+
+            if (!snapshot?.sessions) return null;
+            const tabs = await localDataService.open(snapshot.sessions);
+            if (!tabs?.length) return null;
+
+            return {
+                savedAt: snapshot.savedAt,
+                activeSessionId: snapshot.activeSessionId,
+                sessions: tabs.map(tab => ({ ...tab, selectedFile: files.get(tab.id) ?? null }))
+            };
+        } catch (err) {
+            console.error('[SessionSnapshot] Error loading snapshot:', err);
+            return null;
+        }
+    }
+
+    /**
+     * Delete the signed-in user's snapshot
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        if (!indexedDbService.isSupported()) return;
+
+        const scope = getUserScope();
+        this.storedFiles.clear();
+
+        try {
+            await Promise.all([
+                indexedDbService.delete(STORES.SESSION_SNAPSHOTS, scope),
+                this.fileWrites.then(() => indexedDbService.deleteByIndex(STORES.SNAPSHOT_FILES, 'scope', scope))
+            ]);
+            console.log('[SessionSnapshot] Cleared');
+        } catch (err) {
+            console.error('[SessionSnapshot] Error clearing snapshot:', err);
+        }
+    }
+}
+
+// Export singleton instance
+const sessionSnapshotService = new SessionSnapshotService();
+export default sessionSnapshotService;
@@ -1,66 +1,261 @@
 /**
  * SharedWebSocketService
- * 
+ *
  * Singleton service that manages a SINGLE WebSocket connection for the entire app.
- * Uses BroadcastChannel for cross-tab coordination and leader election.
- * 
+ * The socket itself (reconnects, keepalive, outbox) is a MultiplexedSocket that
+ * lives in one of two places:
+ * - worker transport: a SharedWorker, with every tab attached via MessagePort
+ * - leader transport: an elected leader tab, relaying to the others over
+ *   BroadcastChannel. Election uses the Web Locks API where available (the
+ *   lock holder is the only leader, and the browser hands the lock to the next
+ *   tab when it closes); otherwise it falls back to a localStorage heartbeat.
+ * The worker is used when supported; the public API is the same either way.
+ *
  * Architecture:
  * - ONE WebSocket for ALL threads (multiplexed via threadId in messages)
- * - Leader tab owns the WebSocket
  * - All messages include threadId for routing
+ * - Outgoing messages carry a clientMessageId that the server echoes back
+ * - Messages sent while the socket is down wait in a durable IndexedDB outbox
+ * - Connection state is observable in every tab
+ * - Application-level ping/pong detects half-open sockets and measures latency
+ * - Frames use a typed, versioned envelope (see socketProtocol); the client
+ *   announces its version in a hello frame when the socket opens
+ * - Answers may be streamed as start/delta/end frames per thread
+ * - Each tab remembers its unanswered requests; when leadership moves, followers
+ *   sync their threads and requests to the new leader, which resubmits them
+ * - Server frames carry a per-thread seq; after a reconnect the socket sends a
+ *   resume with the last seen seq per thread and missed frames are replayed once
+ * - Frames may be binary (MessagePack) when the server agrees to it in the hello;
+ *   the socket owner decodes them, so tabs and subscribers only see plain objects
+ * - The socket owner is kept supplied with the current access token (AuthService);
+ *   when the server rejects it, this tab tries a refresh or asks to sign in again
+ * - Channel, lock, leader key and worker names are scoped to the signed-in user
+ *   (see userScope); signing out resets the socket and empties the outbox
+ * - The socket owner only sends outbox messages queued under the user scope
+ *   that comes with the current access token
  */
 
+import { v4 as uuidv4 } from 'uuid';
 import API_CONFIG from './api.config';
+import MultiplexedSocket from './MultiplexedSocket';
+import authService from './AuthService';
+import outboxService from './OutboxService';
+import { getUserScope, scopedKey } from './userScope';
+import {
+    FINAL_FRAME_TYPES,
+    CONTROL_FRAME_TYPES,
+    CONNECTION_STATUS,
+    OUTBOX_EVENT_TYPES,
+    REQUEST_EVENT_TYPES,
+    TRANSPORT_MESSAGE_TYPES
+} from './socketProtocol';
+
+export {
+    STREAM_FRAME_TYPES,
+    CONTROL_FRAME_TYPES,
+    CONNECTION_STATUS,
+    KEEPALIVE_FRAME_TYPES,
+    OUTBOX_EVENT_TYPES,
+    REQUEST_EVENT_TYPES,
+    PROTOCOL_VERSION,
+    FRAME_TYPES,
+    FINAL_FRAME_TYPES,
+    TOOL_PROGRESS_STATES
+} from './socketProtocol';
 
 // Constants
 const CHANNEL_NAME = 'exim-websocket-channel';
 const LEADER_KEY = 'exim-ws-leader';
+const LEADER_LOCK_NAME = 'exim-ws-leader-lock';
 const LEADER_HEARTBEAT_INTERVAL = 2000; // 2 seconds
 const LEADER_TIMEOUT = 5000; // 5 seconds
 const VISIBILITY_FAILOVER_MS = 3000; // 3 seconds - aggressive takeover if leader is throttled
-const CONNECTION_DEBOUNCE_MS = 300;
+
+// Where the socket lives
+export const TRANSPORTS = {
+    WORKER: 'worker',
+    LEADER: 'leader'
+};
 
 class SharedWebSocketService {
     constructor() {
         // Instance state
         this.tabId = `tab_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        this.isLeader = false;
-        this.socket = null; // Single WebSocket for all threads
         this.subscribers = new Set(); // callback functions for incoming messages
+        this.activeThreads = new Set(); // Threads this tab needs
+        this.inflightRequests = new Map(); // clientMessageId -> { threadId, message } sent from this tab, not answered yet
+        this.seenCursors = {}; // threadId -> highest frame seq seen in this tab, handed to the socket if we become leader
+
+        // Observable connection state (mirrored from whoever owns the socket)
+        this.connectionState = {
+            status: CONNECTION_STATUS.IDLE,
+            attempt: 0, // Retry attempt in progress or scheduled (0 = first connect)
+            nextRetryAt: null, // Timestamp of the next scheduled retry
+            latencyMs: null, // Round-trip time of the last ping/pong
+            protocolVersion: null, // Announced by the server's hello
+            encoding: null, // Frame encoding agreed in the hello ('json' or 'msgpack')
+            compression: null, // Compression negotiated by the browser, e.g. 'permessage-deflate'
+            updatedAt: Date.now()
+        };
+        this.connectionListeners = new Set();
 
-        // Connection state
-        this.connectTimer = null;
-        this.disconnectTimer = null;
-        this.messageQueue = []; // Messages queued while connecting
-        this.activeThreads = new Set(); // Threads that need the connection
+        this.keepalive = {
+            intervalMs: API_CONFIG.websocket.PING_INTERVAL_MS,
+            timeoutMs: API_CONFIG.websocket.PONG_TIMEOUT_MS
+        };
 
-        // BroadcastChannel for cross-tab communication
-        this.channel = new BroadcastChannel(CHANNEL_NAME);
-        this.channel.onmessage = this._handleBroadcast.bind(this);
+        // Worker transport
+        this.workerPort = null;
 
-        // Heartbeat interval (for leader)
+        // Leader transport
+        this.isLeader = false;
+        this.leaderTabId = null; // Last known leader (this tab or another)
+        this.leadershipListeners = new Set();
+        this.useLocks = typeof navigator !== 'undefined' && !!navigator.locks;
+        this.releaseLeaderLock = null; // Resolves the held Web Lock
+        this.connection = null; // MultiplexedSocket, only while this tab is leader
+        this.threadTabs = new Map(); // threadId -> Set of tab IDs that have it open (leader only)
+        this.channel = null;
         this.heartbeatInterval = null;
 
+        this.transport = this._shouldUseWorker() ? TRANSPORTS.WORKER : TRANSPORTS.LEADER;
+        if (this.transport === TRANSPORTS.WORKER) {
+            this._startWorkerTransport();
+        } else {
+            this._startLeaderTransport();
+        }
+
+        // Keep the socket owner on the latest access token
+        authService.subscribe(({ accessToken }) => this._pushAuthToken(accessToken));
+        authService.onSignOut(() => this._resetForSignOut());
+
+        // Handle tab close
+        window.addEventListener('beforeunload', this._handleTabClose.bind(this));
+
+        console.log(`[SharedWS] Initialized with tabId: ${this.tabId} (${this.transport} transport)`);
+    }
+
+    _shouldUseWorker() {
+        const preference = API_CONFIG.websocket.TRANSPORT;
+        if (preference === TRANSPORTS.LEADER) return false;
+
+        const supported = typeof SharedWorker !== 'undefined';
+        if (!supported && preference === TRANSPORTS.WORKER) {
+            console.warn('[SharedWS] SharedWorker not supported - falling back to leader election');
+        }
+        return supported;
+    }
+
+    // ========== WORKER TRANSPORT ==========
+
+    _startWorkerTransport() {
+        try {
+            const worker = new SharedWorker(
+                new URL('../workers/sharedSocket.worker.js', import.meta.url),
+                { type: 'module', name: scopedKey('exim-shared-socket') }
+            );
+
+            // Fires if the worker script can't be loaded or crashes on start
+            worker.onerror = (event) => {
+                console.error('[SharedWS] Shared worker failed - falling back to leader election:', event);
+                this._fallBackToLeaderTransport();
+            };
+
+            this.workerPort = worker.port;
+            this.workerPort.onmessage = this._handleWorkerMessage.bind(this);
+            this._pushAuthToken(authService.getToken());
+        } catch (err) {
+            console.error('[SharedWS] Could not start shared worker - falling back to leader election:', err);
+            this._fallBackToLeaderTransport();
+        }
+    }
+
+    _fallBackToLeaderTransport() {
+        if (this.transport === TRANSPORTS.LEADER) return;
+
+        if (this.workerPort) {
+            this.workerPort.onmessage = null;
+            this.workerPort.close();
+            this.workerPort = null;
+        }
+
+        this.transport = TRANSPORTS.LEADER;
+        this._startLeaderTransport();
+
+        // Whoever leads now needs to know what this tab had open
+        this.activeThreads.forEach(threadId => this._registerThread(threadId));
+    }
+
+    _handleWorkerMessage(event) {
+        const { type, threadId, message, state } = event.data;
+
+        switch (type) {
+            case TRANSPORT_MESSAGE_TYPES.MESSAGE_RECEIVED:
+                this._notifySubscribers(threadId, message);
+                break;
+
+            case TRANSPORT_MESSAGE_TYPES.CONNECTION_STATE:
+                this._applyConnectionState(state);
+                break;
+        }
+    }
+
+    // ========== LEADER TRANSPORT ==========
+
+    _startLeaderTransport() {
+        // BroadcastChannel for cross-tab communication
+        this.channel = new BroadcastChannel(scopedKey(CHANNEL_NAME));
+        this.channel.onmessage = this._handleBroadcast.bind(this);
+
         // Start leader election
-        this._attemptLeaderElection();
+        this._startElection();
 
-        // Listen for storage changes (leader heartbeat)
+        // Followers ask the leader for its current connection state
+        if (!this.isLeader) {
+            this.channel.postMessage({ type: TRANSPORT_MESSAGE_TYPES.CONNECTION_STATE_REQUEST, originTabId: this.tabId });
+        }
+
+        // Listen for storage changes (leader heartbeat, fallback election only)
         window.addEventListener('storage', this._handleStorageChange.bind(this));
 
         // Listen for visibility changes (aggressive health check)
-        document.addEventListener('visibilitychange', this._handleVisibilityChange.bind(this));
+        this._handleVisibilityChange = this._handleVisibilityChange.bind(this);
+        document.addEventListener('visibilitychange', this._handleVisibilityChange);
+    }
 
-        // Handle tab close
-        window.addEventListener('beforeunload', this._handleTabClose.bind(this));
+    _startElection() {
+        if (this.useLocks) {
+            this._electWithLocks();
+        } else {
+            console.log('[SharedWS] Web Locks unavailable - using localStorage leader election');
+            this._attemptLeaderElection();
+        }
+    }
 
-        console.log(`[SharedWS] Initialized with tabId: ${this.tabId}`);
+    /**
+     * Queue for the leader lock. The callback only runs once the lock is ours,
+     * and the returned promise keeps it held until this tab closes or resigns.
+     * Waiting tabs are granted the lock in request order, so handover is deterministic.
+     */
+    _electWithLocks() {
+        navigator.locks.request(scopedKey(LEADER_LOCK_NAME), () => {
+            this._becomeLeader();
+            return new Promise(resolve => {
+                this.releaseLeaderLock = resolve;
+            });
+        }).catch(err => {
+            console.error('[SharedWS] Web Locks election failed - falling back to localStorage:', err);
+            this.useLocks = false;
+            this._attemptLeaderElection();
+        });
     }
 
     /**
      * Attempt to become the leader or check if current leader is alive
+     * (localStorage fallback)
      */
     _attemptLeaderElection() {
-        const leaderData = localStorage.getItem(LEADER_KEY);
+        const leaderData = localStorage.getItem(scopedKey(LEADER_KEY));
         const now = Date.now();
 
         if (leaderData) {
@@ -68,6 +263,7 @@ class SharedWebSocketService {
 
             if (now - timestamp < LEADER_TIMEOUT && tabId !== this.tabId) {
                 this.isLeader = false;
+                this._setLeader(tabId);
                 console.log(`[SharedWS] Tab ${this.tabId} is follower. Leader: ${tabId}`);
                 return;
             }
@@ -77,38 +273,59 @@ class SharedWebSocketService {
     }
 
     /**
-     * Become the leader tab
+     * Become the leader tab and take ownership of the socket
      */
     _becomeLeader() {
+        if (this.isLeader) return;
+
         this.isLeader = true;
-        this._updateLeaderHeartbeat();
 
-        this.heartbeatInterval = setInterval(() => {
+        // The lock itself proves liveness; the heartbeat is only needed for the fallback
+        if (!this.useLocks) {
             this._updateLeaderHeartbeat();
-        }, LEADER_HEARTBEAT_INTERVAL);
+            this.heartbeatInterval = setInterval(() => {
+                this._updateLeaderHeartbeat();
+            }, LEADER_HEARTBEAT_INTERVAL);
+        }
 
-        console.log(`[SharedWS] Tab ${this.tabId} is now LEADER`);
+        console.log(`[SharedWS] Tab ${this.tabId} is now LEADER (${this.useLocks ? 'web lock' : 'localStorage'})`);
+        this._setLeader(this.tabId);
 
         this.channel.postMessage({
-            type: 'LEADER_ELECTED',
+            type: TRANSPORT_MESSAGE_TYPES.LEADER_ELECTED,
             tabId: this.tabId
         });
 
-        // If there are active threads, connect
-        if (this.activeThreads.size > 0) {
-            this._scheduleConnect();
-        }
+        this.connection = new MultiplexedSocket({
+            keepalive: this.keepalive,
+            authToken: authService.getToken(),
+            scope: authService.getToken() ? getUserScope() : null, // Kept once known, also while the token is renewed
+            onMessage: (threadId, message) => this._dispatch(threadId, message),
+            onStateChange: (state) => {
+                this._applyConnectionState(state);
+                this._broadcastConnectionState();
+            }
+        });
+        this.connection.seedCursors(this.seenCursors);
+        this.threadTabs = new Map();
+        this.activeThreads.forEach(threadId => this._holdThread(this.tabId, threadId));
+
+        // Connects for active threads, or for messages left in the outbox
+        this.connection.resume();
+
+        // Our own questions went through the previous leader - its socket is gone
+        this._resubmitRequests(this._getInflightList());
     }
 
     _updateLeaderHeartbeat() {
-        localStorage.setItem(LEADER_KEY, JSON.stringify({
+        localStorage.setItem(scopedKey(LEADER_KEY), JSON.stringify({
             tabId: this.tabId,
             timestamp: Date.now()
         }));
     }
 
     _handleStorageChange(event) {
-        if (event.key !== LEADER_KEY) return;
+        if (this.useLocks || event.key !== scopedKey(LEADER_KEY)) return;
 
         if (!event.newValue) {
             this._attemptLeaderElection();
@@ -120,30 +337,76 @@ class SharedWebSocketService {
         }
     }
 
+    /**
+     * Step down after another tab claimed leadership (localStorage fallback).
+     * Our socket is closed so two tabs never hold connections at once;
+     * anything still queued goes to the shared outbox for the new leader.
+     */
     _resignAsLeader() {
         if (!this.isLeader) return;
 
-        this.isLeader = false;
         if (this.heartbeatInterval) {
             clearInterval(this.heartbeatInterval);
             this.heartbeatInterval = null;
         }
 
+        if (this.connection) {
+            this.connection.dispose();
+            this.connection = null;
+        }
+        this.threadTabs.clear();
+        this.isLeader = false;
+
         console.log(`[SharedWS] Tab ${this.tabId} resigned as leader`);
     }
 
+    /**
+     * Record the current leader and notify listeners when it changes
+     * @param {string} leaderTabId - Tab ID of the leader
+     */
+    _setLeader(leaderTabId) {
+        if (this.leaderTabId === leaderTabId) return;
+
+        const previousLeaderTabId = this.leaderTabId;
+        this.leaderTabId = leaderTabId;
+
+        const change = { isLeader: this.isLeader, leaderTabId, previousLeaderTabId };
+        this.leadershipListeners.forEach(callback => {
+            try {
+                callback(change);
+            } catch (err) {
+                console.error('[SharedWS] Error in leadership listener:', err);
+            }
+        });
+    }
+
     _handleTabClose() {
-        if (this.connectTimer) clearTimeout(this.connectTimer);
-        if (this.disconnectTimer) clearTimeout(this.disconnectTimer);
+        if (this.transport === TRANSPORTS.WORKER) {
+            // Ports have no close event - tell the worker this tab's threads are gone
+            this.workerPort?.postMessage({ type: TRANSPORT_MESSAGE_TYPES.DETACH });
+            return;
+        }
 
         // Remove visibility listener
         document.removeEventListener('visibilitychange', this._handleVisibilityChange);
 
+        // Like the worker's ports, the leader only lets go of threads no other tab has open
+        if (!this.isLeader) {
+            this.channel.postMessage({ type: TRANSPORT_MESSAGE_TYPES.DETACH, originTabId: this.tabId });
+        }
+
         if (this.isLeader) {
-            if (this.socket) {
-                this.socket.close();
+            if (this.connection) {
+                this.connection.dispose();
+                this.connection = null;
+            }
+
+            if (this.useLocks) {
+                // Hand the lock to the next waiting tab right away
+                this.releaseLeaderLock?.();
+            } else {
+                localStorage.removeItem(scopedKey(LEADER_KEY));
             }
-            localStorage.removeItem(LEADER_KEY);
         }
 
         this.channel.close();
@@ -156,16 +419,24 @@ class SharedWebSocketService {
 
         // If we are already leader, update heartbeat immediately to assert dominance
         if (this.isLeader) {
-            this._updateLeaderHeartbeat();
+            if (!this.useLocks) {
+                this._updateLeaderHeartbeat();
+            }
+
+            // Don't make the user sit out a long backoff after the device wakes up
+            this.connection?.retryIfPending();
             return;
         }
 
         // If we are follower, check if leader is throttled
-        this._attemptAggressiveLeaderElection();
+        // (a lock holder can't be stale: the lock goes away with its tab)
+        if (!this.useLocks) {
+            this._attemptAggressiveLeaderElection();
+        }
     }
 
     _attemptAggressiveLeaderElection() {
-        const leaderData = localStorage.getItem(LEADER_KEY);
+        const leaderData = localStorage.getItem(scopedKey(LEADER_KEY));
         const now = Date.now();
 
         if (leaderData) {
@@ -191,210 +462,318 @@ class SharedWebSocketService {
         const { type, threadId, message, tabId, originTabId } = event.data;
 
         switch (type) {
-            case 'LEADER_ELECTED':
+            case TRANSPORT_MESSAGE_TYPES.LEADER_ELECTED:
                 if (tabId !== this.tabId) {
-                    this._resignAsLeader();
+                    if (!this.useLocks) {
+                        this._resignAsLeader();
+                    }
+                    this._setLeader(tabId);
+                    this._syncRegistry();
                 }
                 break;
 
-            case 'REGISTER_THREAD':
+            case TRANSPORT_MESSAGE_TYPES.REGISTRY_SYNC:
                 if (this.isLeader && originTabId !== this.tabId) {
-                    this.activeThreads.add(threadId);
-                    this._scheduleConnect();
+                    console.log(`[SharedWS] Registry sync from ${originTabId}: ${event.data.threads.length} threads, ${event.data.requests.length} unanswered requests`);
+                    event.data.threads.forEach(id => this._holdThread(originTabId, id));
+                    this._resubmitRequests(event.data.requests);
                 }
                 break;
 
-            case 'UNREGISTER_THREAD':
+            case TRANSPORT_MESSAGE_TYPES.REGISTER_THREAD:
                 if (this.isLeader && originTabId !== this.tabId) {
-                    this.activeThreads.delete(threadId);
-                    if (this.activeThreads.size === 0) {
-                        this._scheduleDisconnect();
-                    }
+                    this._holdThread(originTabId, threadId);
                 }
                 break;
 
-            case 'SEND_MESSAGE':
+            case TRANSPORT_MESSAGE_TYPES.UNREGISTER_THREAD:
                 if (this.isLeader && originTabId !== this.tabId) {
-                    this._sendViaWebSocket(threadId, message);
+                    this._releaseThread(originTabId, threadId);
                 }
                 break;
 
-            case 'MESSAGE_RECEIVED':
-                if (originTabId !== this.tabId) {
-                    this._notifySubscribers(threadId, message);
+            case TRANSPORT_MESSAGE_TYPES.DETACH:
+                if (this.isLeader && originTabId !== this.tabId) {
+                    [...this.threadTabs.keys()].forEach(id => this._releaseThread(originTabId, id));
+                    console.log(`[SharedWS] Tab ${originTabId} detached`);
                 }
                 break;
-        }
-    }
 
-    _scheduleConnect() {
-        if (this.disconnectTimer) {
-            clearTimeout(this.disconnectTimer);
-            this.disconnectTimer = null;
-        }
+            case TRANSPORT_MESSAGE_TYPES.SEND_MESSAGE:
+                if (this.isLeader && originTabId !== this.tabId) {
+                    this.connection.send(threadId, message);
+                }
+                break;
 
-        // Already connected or connecting
-        if (this.socket &&
-            (this.socket.readyState === WebSocket.OPEN ||
-                this.socket.readyState === WebSocket.CONNECTING)) {
-            return;
-        }
+            case TRANSPORT_MESSAGE_TYPES.MESSAGE_RECEIVED:
+                if (originTabId !== this.tabId) {
+                    this._notifySubscribers(threadId, message);
+                }
+                break;
 
-        if (this.connectTimer) {
-            clearTimeout(this.connectTimer);
-        }
+            case TRANSPORT_MESSAGE_TYPES.CONNECTION_STATE:
+                if (!this.isLeader && originTabId !== this.tabId) {
+                    // Only the leader broadcasts state, so this also tells late joiners who leads
+                    this._setLeader(originTabId);
+                    this._applyConnectionState(event.data.state);
+                }
+                break;
 
-        this.connectTimer = setTimeout(() => {
-            this.connectTimer = null;
-            this._createWebSocket();
-        }, CONNECTION_DEBOUNCE_MS);
-    }
+            case TRANSPORT_MESSAGE_TYPES.CONNECTION_STATE_REQUEST:
+                if (this.isLeader && originTabId !== this.tabId) {
+                    this._broadcastConnectionState();
+                }
+                break;
 
-    _scheduleDisconnect() {
-        if (this.connectTimer) {
-            clearTimeout(this.connectTimer);
-            this.connectTimer = null;
-        }
+            case TRANSPORT_MESSAGE_TYPES.RETRY_NOW:
+                if (this.isLeader && originTabId !== this.tabId) {
+                    this.connection.retryNow();
+                }
+                break;
 
-        if (this.disconnectTimer) {
-            clearTimeout(this.disconnectTimer);
+            case TRANSPORT_MESSAGE_TYPES.RESET:
+                if (this.isLeader && originTabId !== this.tabId) {
+                    this.threadTabs.clear();
+                    this.connection.reset();
+                }
+                break;
         }
-
-        this.disconnectTimer = setTimeout(() => {
-            this.disconnectTimer = null;
-            this._closeWebSocket();
-        }, CONNECTION_DEBOUNCE_MS);
     }
 
     /**
-     * Create the single WebSocket connection (leader only)
-     * Includes retry logic for Render free tier cold starts
+     * The user is signing out: drop the socket, its threads and cursors, and
+     * everything queued on their behalf. The page reloads afterwards.
      */
-    _createWebSocket(retryCount = 0) {
-        if (!this.isLeader) return;
+    async _resetForSignOut() {
+        console.log('[SharedWS] Signing out - resetting socket state');
+        this.inflightRequests.clear();
+        this.seenCursors = {};
+        this.activeThreads.clear();
 
-        if (this.socket &&
-            (this.socket.readyState === WebSocket.OPEN ||
-                this.socket.readyState === WebSocket.CONNECTING)) {
-            return;
+        if (this.isLeader) {
+            this.threadTabs.clear();
+            this.connection.reset();
+        } else {
+            this._postToOwner(TRANSPORT_MESSAGE_TYPES.RESET);
         }
 
-        const MAX_RETRIES = 5;
-        const RETRY_DELAYS = [1000, 2000, 4000, 8000, 16000]; // Exponential backoff
-
-        // Single endpoint for all threads
-        const wsUrl = `${API_CONFIG.WS_BASE_URL}${API_CONFIG.endpoints.CHAT_WS}`;
-        console.log(`[SharedWS] Creating single multiplexed WebSocket: ${wsUrl} (attempt ${retryCount + 1}/${MAX_RETRIES + 1})`);
+        await outboxService.clear(getUserScope());
+    }
 
-        this.socket = new WebSocket(wsUrl);
+    /**
+     * Tell a newly elected leader everything this tab relies on: the threads
+     * it has open and the questions still waiting for an answer
+     */
+    _syncRegistry() {
+        if (this.activeThreads.size === 0 && this.inflightRequests.size === 0) return;
 
-        this.socket.onopen = () => {
-            console.log('[SharedWS] WebSocket connected (multiplexed)');
-            this._flushMessageQueue();
-        };
+        this.channel.postMessage({
+            type: TRANSPORT_MESSAGE_TYPES.REGISTRY_SYNC,
+            threads: [...this.activeThreads],
+            requests: this._getInflightList(),
+            originTabId: this.tabId
+        });
+    }
 
-        this.socket.onmessage = (event) => {
+    /**
+     * Send unanswered requests again on the new leader's socket. The frame
+     * keeps its clientMessageId and is flagged `resume`, so the server can
+     * continue (or replay) an answer it already started instead of asking twice.
+     * Every tab is told so it can clear the partial answer it was showing.
+     * @param {Array<{threadId: string, clientMessageId: string, message: string}>} requests
+     */
+    _resubmitRequests(requests) {
+        requests.forEach(({ threadId, clientMessageId, message }) => {
+            let frame;
             try {
-                const data = JSON.parse(event.data);
-                const threadId = data.threadId;
-
-                if (!threadId) {
-                    console.error('[SharedWS] Received message without threadId:', data);
-                    return;
-                }
-
-                // Notify local subscribers
-                this._notifySubscribers(threadId, data);
-
-                // Broadcast to other tabs
-                this.channel.postMessage({
-                    type: 'MESSAGE_RECEIVED',
-                    threadId,
-                    message: data,
-                    originTabId: this.tabId
-                });
+                frame = JSON.parse(message);
             } catch (err) {
-                console.error('[SharedWS] Error parsing WebSocket message:', err);
+                console.error(`[SharedWS] Cannot resubmit request ${clientMessageId}:`, err);
+                return;
             }
-        };
-
-        this.socket.onerror = (error) => {
-            console.error('[SharedWS] WebSocket error:', error);
-        };
 
-        this.socket.onclose = () => {
-            console.log('[SharedWS] WebSocket closed');
-            this.socket = null;
-
-            // Retry if we still have active threads and haven't exceeded retries
-            if (this.activeThreads.size > 0 && retryCount < MAX_RETRIES) {
-                const delay = RETRY_DELAYS[retryCount] || RETRY_DELAYS[RETRY_DELAYS.length - 1];
-                console.log(`[SharedWS] Retrying WebSocket connection in ${delay}ms...`);
-                setTimeout(() => {
-                    if (this.isLeader && this.activeThreads.size > 0) {
-                        this._createWebSocket(retryCount + 1);
-                    }
-                }, delay);
-            } else if (retryCount >= MAX_RETRIES) {
-                console.error('[SharedWS] Max retries exceeded. WebSocket connection failed.');
-            }
-        };
+            console.log(`[SharedWS] Resubmitting unanswered request ${clientMessageId} for thread: ${threadId}`);
+            this.connection.registerThread(threadId);
+            this.connection.send(threadId, { ...frame, resume: true });
+            this._dispatch(threadId, {
+                type: REQUEST_EVENT_TYPES.RESUBMITTED,
+                threadId,
+                clientMessageId,
+                leaderTabId: this.tabId
+            });
+        });
     }
 
-    _flushMessageQueue() {
-        if (this.messageQueue.length === 0) return;
+    _broadcastConnectionState() {
+        this.channel.postMessage({
+            type: TRANSPORT_MESSAGE_TYPES.CONNECTION_STATE,
+            state: this.connectionState,
+            originTabId: this.tabId
+        });
+    }
 
-        console.log(`[SharedWS] Flushing ${this.messageQueue.length} queued messages`);
+    /**
+     * Deliver a frame to local subscribers and relay it to other tabs (leader only)
+     * @param {string} threadId - Thread ID
+     * @param {Object} message - Frame or local event
+     */
+    _dispatch(threadId, message) {
+        this._notifySubscribers(threadId, message);
 
-        this.messageQueue.forEach(msg => {
-            if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-                this.socket.send(msg);
-            }
+        this.channel.postMessage({
+            type: TRANSPORT_MESSAGE_TYPES.MESSAGE_RECEIVED,
+            threadId,
+            message,
+            originTabId: this.tabId
         });
-
-        this.messageQueue = [];
     }
 
-    _sendViaWebSocket(threadId, payload) {
-        if (!this.isLeader) return false;
+    // ========== SHARED ==========
+
+    _getInflightList() {
+        return [...this.inflightRequests.entries()].map(([clientMessageId, request]) => ({ clientMessageId, ...request }));
+    }
 
-        // Ensure payload includes threadId
-        let message;
+    /**
+     * Remember a question sent from this tab until its answer arrives, so it
+     * can be handed to a new leader. Ensures the frame has a clientMessageId.
+     * @param {string} threadId - Thread ID
+     * @param {string} text - Message text or JSON string
+     * @returns {string} - Frame to send
+     */
+    _trackOutgoing(threadId, text) {
+        let frame;
         try {
-            const parsed = typeof payload === 'string' ? JSON.parse(payload) : payload;
-            message = JSON.stringify({ ...parsed, threadId });
+            frame = JSON.parse(text);
         } catch {
-            // Plain text message
-            message = JSON.stringify({ threadId, content: payload });
+            frame = { content: text };
+        }
+        if (typeof frame !== 'object' || frame === null) {
+            frame = { content: text };
         }
 
-        if (this.socket && this.socket.readyState === WebSocket.OPEN) {
-            this.socket.send(message);
-            return true;
+        if (frame.type === CONTROL_FRAME_TYPES.CANCEL) {
+            // Cancelled requests are not resubmitted (null cancels the whole thread)
+            this.inflightRequests.forEach((request, id) => {
+                if (request.threadId === threadId && (!frame.clientMessageId || frame.clientMessageId === id)) {
+                    this.inflightRequests.delete(id);
+                }
+            });
+            return text;
         }
 
-        if (this.socket && this.socket.readyState === WebSocket.CONNECTING) {
-            console.log(`[SharedWS] WebSocket connecting - queuing message`);
-            this.messageQueue.push(message);
-            return true;
+        if (!('clientMessageId' in frame)) {
+            frame = { ...frame, clientMessageId: uuidv4() };
         }
 
-        console.error('[SharedWS] Cannot send - WebSocket not available');
-        return false;
+        const message = JSON.stringify({ ...frame, threadId });
+        this.inflightRequests.set(frame.clientMessageId, { threadId, message });
+        return message;
     }
 
-    _closeWebSocket() {
-        if (!this.isLeader) return;
+    /**
+     * Forget requests whose final answer has arrived
+     * @param {Object} message - Incoming frame
+     */
+    _settleInflight(message) {
+        const { clientMessageId, type } = message;
+        if (!clientMessageId || !this.inflightRequests.has(clientMessageId)) return;
+
+        if (FINAL_FRAME_TYPES.has(type) || type === OUTBOX_EVENT_TYPES.FAILED) {
+            this.inflightRequests.delete(clientMessageId);
+        }
+    }
+
+    /**
+     * Hand a message to whoever owns the socket: the worker, this tab's
+     * connection (leader) or the leader tab (follower)
+     * @param {string} type - TRANSPORT_MESSAGE_TYPES value
+     * @param {Object} [data] - Extra fields
+     */
+    _postToOwner(type, data = {}) {
+        if (this.workerPort) {
+            this.workerPort.postMessage({ type, ...data });
+        } else {
+            this.channel.postMessage({ type, ...data, originTabId: this.tabId });
+        }
+    }
+
+    /**
+     * Leader: note that a tab has a thread open and make sure the socket serves it
+     * @param {string} tabId - Tab that opened the thread
+     * @param {string} threadId - Thread ID
+     */
+    _holdThread(tabId, threadId) {
+        if (!this.threadTabs.has(threadId)) {
+            this.threadTabs.set(threadId, new Set());
+        }
+        this.threadTabs.get(threadId).add(tabId);
+        this.connection.registerThread(threadId);
+    }
+
+    /**
+     * Leader: a tab closed a thread. The socket lets go of it (and its resume
+     * cursor) only once no tab has it open, as the shared worker does.
+     * @param {string} tabId - Tab that closed the thread
+     * @param {string} threadId - Thread ID
+     */
+    _releaseThread(tabId, threadId) {
+        const tabs = this.threadTabs.get(threadId);
+        if (!tabs) return;
+
+        tabs.delete(tabId);
+        if (tabs.size === 0) {
+            this.threadTabs.delete(threadId);
+            this.connection.unregisterThread(threadId);
+        }
+    }
+
+    _registerThread(threadId) {
+        if (this.isLeader) {
+            this._holdThread(this.tabId, threadId);
+        } else {
+            this._postToOwner(TRANSPORT_MESSAGE_TYPES.REGISTER_THREAD, { threadId });
+        }
+    }
+
+    /**
+     * Hand the access token, and the user scope whose outbox it may send, to
+     * whoever owns the socket. Followers don't need to: the leader tab reads
+     * the same shared login.
+     * @param {string|null} token - Access token
+     */
+    _pushAuthToken(token) {
+        if (this.workerPort) {
+            this.workerPort.postMessage({ type: TRANSPORT_MESSAGE_TYPES.SET_AUTH_TOKEN, token, scope: token ? getUserScope() : null });
+        } else if (this.connection) {
+            this.connection.setScope(token ? getUserScope() : null);
+            this.connection.setAuthToken(token);
+        }
+    }
 
-        if (this.socket) {
-            this.socket.close();
-            this.socket = null;
+    _applyConnectionState(state) {
+        // The server rejected the socket's token: refresh it (pushed back through
+        // authService.subscribe) or let the UI ask the user to sign in again
+        if (state.status === CONNECTION_STATUS.UNAUTHORIZED && this.connectionState.status !== CONNECTION_STATUS.UNAUTHORIZED) {
+            authService.handleUnauthorized();
         }
 
-        this.messageQueue = [];
+        this.connectionState = state;
+        this.connectionListeners.forEach(callback => {
+            try {
+                callback(state);
+            } catch (err) {
+                console.error('[SharedWS] Error in connection state listener:', err);
+            }
+        });
     }
 
     _notifySubscribers(threadId, message) {
+        this._settleInflight(message);
+        if (threadId && typeof message.seq === 'number') {
+            this.seenCursors[threadId] = Math.max(this.seenCursors[threadId] ?? message.seq, message.seq);
+        }
+
         this.subscribers.forEach(callback => {
             try {
                 callback(threadId, message);
@@ -412,16 +791,7 @@ class SharedWebSocketService {
      */
     connectThread(threadId) {
         this.activeThreads.add(threadId);
-
-        if (this.isLeader) {
-            this._scheduleConnect();
-        } else {
-            this.channel.postMessage({
-                type: 'REGISTER_THREAD',
-                threadId,
-                originTabId: this.tabId
-            });
-        }
+        this._registerThread(threadId);
     }
 
     /**
@@ -431,17 +801,26 @@ class SharedWebSocketService {
      * @returns {boolean}
      */
     sendMessage(threadId, text) {
+        const message = this._trackOutgoing(threadId, text);
+
         if (this.isLeader) {
-            return this._sendViaWebSocket(threadId, text);
-        } else {
-            this.channel.postMessage({
-                type: 'SEND_MESSAGE',
-                threadId,
-                message: text,
-                originTabId: this.tabId
-            });
-            return true;
+            return this.connection.send(threadId, message);
         }
+
+        this._postToOwner(TRANSPORT_MESSAGE_TYPES.SEND_MESSAGE, { threadId, message });
+        return true;
+    }
+
+    /**
+     * Ask the server to stop generating an answer.
+     * Sent to the socket owner like any other message.
+     * @param {string} threadId - Thread ID
+     * @param {string} [clientMessageId] - Request to cancel; omit to cancel whatever the thread is generating
+     * @returns {boolean}
+     */
+    cancelGeneration(threadId, clientMessageId) {
+        console.log(`[SharedWS] Cancelling generation for thread: ${threadId} (${clientMessageId || 'any request'})`);
+        return this.sendMessage(threadId, JSON.stringify({ type: CONTROL_FRAME_TYPES.CANCEL, clientMessageId: clientMessageId || null }));
     }
 
     /**
@@ -462,21 +841,93 @@ class SharedWebSocketService {
         this.activeThreads.delete(threadId);
 
         if (this.isLeader) {
-            if (this.activeThreads.size === 0) {
-                this._scheduleDisconnect();
-            }
+            this._releaseThread(this.tabId, threadId);
         } else {
-            this.channel.postMessage({
-                type: 'UNREGISTER_THREAD',
-                threadId,
-                originTabId: this.tabId
-            });
+            this._postToOwner(TRANSPORT_MESSAGE_TYPES.UNREGISTER_THREAD, { threadId });
+        }
+    }
+
+    /**
+     * Current connection state
+     * @returns {{ status: string, attempt: number, nextRetryAt: number|null, latencyMs: number|null, updatedAt: number }}
+     */
+    getConnectionState() {
+        return this.connectionState;
+    }
+
+    /**
+     * Subscribe to connection state changes (in every tab, whoever owns the socket)
+     * @param {Function} callback - (state) => void
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribeConnectionState(callback) {
+        this.connectionListeners.add(callback);
+        return () => this.connectionListeners.delete(callback);
+    }
+
+    /**
+     * Change keepalive timing at runtime (e.g. tighter checks behind a flaky proxy)
+     * @param {Object} options
+     * @param {number} [options.intervalMs] - Ping interval, 0 disables keepalive
+     * @param {number} [options.timeoutMs] - How long to wait for a pong before reconnecting
+     */
+    configureKeepalive({ intervalMs, timeoutMs } = {}) {
+        this.keepalive = {
+            intervalMs: intervalMs ?? this.keepalive.intervalMs,
+            timeoutMs: timeoutMs ?? this.keepalive.timeoutMs
+        };
+        console.log(`[SharedWS] Keepalive configured: ping every ${this.keepalive.intervalMs}ms, timeout ${this.keepalive.timeoutMs}ms`);
+
+        if (this.workerPort) {
+            this.workerPort.postMessage({ type: TRANSPORT_MESSAGE_TYPES.CONFIGURE_KEEPALIVE, keepalive: this.keepalive });
+        } else if (this.connection) {
+            this.connection.configureKeepalive(this.keepalive);
         }
     }
 
+    /**
+     * Skip the backoff wait and reconnect immediately.
+     * Followers ask the socket owner to do it.
+     */
+    retryNow() {
+        if (this.isLeader) {
+            this.connection.retryNow();
+        } else {
+            this._postToOwner(TRANSPORT_MESSAGE_TYPES.RETRY_NOW);
+        }
+    }
+
+    /**
+     * Subscribe to leadership changes (this tab gaining or losing leadership,
+     * or another tab taking over) so in-flight work can be re-homed.
+     * Never fires with the worker transport, which has no leader.
+     * @param {Function} callback - ({ isLeader, leaderTabId, previousLeaderTabId }) => void
+     * @returns {Function} - Unsubscribe function
+     */
+    onLeadershipChange(callback) {
+        this.leadershipListeners.add(callback);
+        return () => this.leadershipListeners.delete(callback);
+    }
+
     isLeaderTab() {
         return this.isLeader;
     }
+
+    /**
+     * Tab ID of the current leader, or null if not known yet (or using the worker)
+     * @returns {string|null}
+     */
+    getLeaderTabId() {
+        return this.leaderTabId;
+    }
+
+    /**
+     * Where the socket currently lives
+     * @returns {string} - TRANSPORTS value
+     */
+    getTransport() {
+        return this.transport;
+    }
 }
 
 // Export singleton instance
@@ -0,0 +1,189 @@
+/**
+ * ThreadMirrorService
+ *
+ * Local copy of the signed-in user's thread list and of every thread whose
+ * messages have been loaded, kept in the IndexedDB 'threads' store keyed by
+ * [user scope, threadId]. Lets a thread open instantly from the mirror while
+ * the server copy loads, and keeps history browsable (read-only) when the
+ * backend can't be reached.
+ *
+ * Thread metadata and messages are sealed by LocalDataService (encrypted
+ * when enabled). Mirroring is best effort: failures are logged and reads -
+ * including copies that can no longer be decrypted - fall back to
+ * "nothing cached".
+ */
+
+import authService from './AuthService';
+import indexedDbService, { STORES } from './IndexedDbService';
+import localDataService from './LocalDataService';
+import { getUserScope } from './userScope';
+
+// Per-render flags that must not come back when a thread is restored
+const TRANSIENT_FIELDS = ['isNew', 'isStreaming', 'pending', 'queued'];
+
+const byUpdatedAtDesc = (a, b) =>
+    new Date(b.updatedAt || b.createdAt || 0) - new Date(a.updatedAt || a.createdAt || 0);
+
+class ThreadMirrorService {
+    constructor() {
+        // Mirrored history belongs to the user who loaded it
+        authService.onSignOut(() => this.clearAll());
+    }
+
+    /**
+     * Strip unsent turns, errors and render flags before storing messages
+     * @param {Array} messages - Session messages
+     * @returns {Array}
+     */
+    _toStoredMessages(messages) {
+        return messages
+            .filter(m => m.role !== 'error' && !m.pending && !m.isStreaming)
+            .map(m => {
+                const stored = { ...m };
+                TRANSIENT_FIELDS.forEach(field => delete stored[field]);
+                return stored;
+            });
+    }
+
+    /**
+     * Mirrored records of the current user
+     * @returns {Promise<Array>}
+     */
+    async _getRecords() {
+        if (!indexedDbService.isSupported()) return [];
+        return indexedDbService.getAllByIndex(STORES.THREADS, 'scope', getUserScope());
+    }
+
+    // ========== PUBLIC API ==========
+
+    /**
+     * Replace the mirrored thread list, keeping cached messages of threads
+     * that are still listed
+     * @param {Array} threads - Thread list from the server
+     * @returns {Promise<void>}
+     */
+    async saveThreadList(threads) {
+        try {
+            const scope = getUserScope();
+            const records = await this._getRecords();
+            const listed = new Set(threads.map(thread => thread.threadId));
+
+            const sealed = new Map(await Promise.all(
+                threads.map(async thread => [thread.threadId, await localDataService.seal(thread)])
+            ));
+            // Only the thread field changes; messages saved meanwhile are kept
+            await indexedDbService.updateMany(
+                STORES.THREADS,
+                threads.map(thread => [scope, thread.threadId]),
+                (existing, [, threadId]) => ({ ...existing, scope, threadId, thread: sealed.get(threadId) })
+            );
+
+            const removed = records.filter(record => !listed.has(record.threadId));
+            if (removed.length > 0) {
+                await indexedDbService.deleteMany(STORES.THREADS, removed.map(record => [scope, record.threadId]));
+            }
+        } catch (err) {
+            console.error('[ThreadMirror] Error saving thread list:', err);
+        }
+    }
+
+    /**
+     * Mirrored thread list, most recently updated first
+     * @returns {Promise<Array>}
+     */
+    async getThreadList() {
+        try {
+            const records = await this._getRecords();
+            const threads = await Promise.all(records
+                .filter(record => record.thread)
+                .map(record => localDataService.open(record.thread).catch(() => null)));
+            return threads.filter(Boolean).sort(byUpdatedAtDesc);
+        } catch (err) {
+            console.error('[ThreadMirror] Error reading thread list:', err);
+            return [];
+        }
+    }
+
+    /**
+     * Store a thread's messages
+     * @param {string} threadId - Thread ID
+     * @param {Array} messages - Messages as shown in the session
+     * @returns {Promise<void>}
+     */
+    async saveMessages(threadId, messages) {
+        if (!indexedDbService.isSupported()) return;
+
+        try {
+            const scope = getUserScope();
+            const sealed = await localDataService.seal(this._toStoredMessages(messages));
+            const savedAt = Date.now();
+
+            // Only the messages change; a thread list saved meanwhile is kept
+            await indexedDbService.updateMany(STORES.THREADS, [[scope, threadId]], existing => ({
+                ...existing,
+                scope,
+                threadId,
+                messages: sealed,
+                messagesSavedAt: savedAt
+            }));
+        } catch (err) {
+            console.error(`[ThreadMirror] Error saving messages for thread ${threadId}:`, err);
+        }
+    }
+
+    /**
+     * Mirrored messages of a thread
+     * @param {string} threadId - Thread ID
+     * @returns {Promise<{messages: Array, savedAt: number, thread: Object|undefined}|null>} - null when not mirrored
+     */
+    async getMessages(threadId) {
+        if (!indexedDbService.isSupported()) return null;
+
+        try {
+            const record = await indexedDbService.get(STORES.THREADS, [getUserScope(), threadId]);
+            if (!record?.messages) return null;
+            return {
+                messages: await localDataService.open(record.messages),
+                savedAt: record.messagesSavedAt,
+                thread: record.thread ? await localDataService.open(record.thread) : undefined
+            };
+        } catch (err) {
+            console.error(`[ThreadMirror] Error reading messages for thread ${threadId}:`, err);
+            return null;
+        }
+    }
+
+    /**
+     * Forget a deleted thread
+     * @param {string} threadId - Thread ID
+     * @returns {Promise<void>}
+     */
+    async removeThread(threadId) {
+        if (!indexedDbService.isSupported()) return;
+
+        try {
+            await indexedDbService.delete(STORES.THREADS, [getUserScope(), threadId]);
+        } catch (err) {
+            console.error(`[ThreadMirror] Error removing thread ${threadId}:`, err);
+        }
+    }
+
+    /**
+     * Forget every mirrored thread of the signed-in user
+     * @returns {Promise<void>}
+     */
+    async clearAll() {
+        if (!indexedDbService.isSupported()) return;
+
+        try {
+            await indexedDbService.deleteByIndex(STORES.THREADS, 'scope', getUserScope());
+            console.log('[ThreadMirror] Cleared');
+        } catch (err) {
+            console.error('[ThreadMirror] Error clearing mirror:', err);
+        }
+    }
+}
+
+// Export singleton instance
+const threadMirrorService = new ThreadMirrorService();
+export default threadMirrorService;
@@ -0,0 +1,146 @@
+/**
+ * ThreadSyncService
+ *
+ * Keeps the thread list consistent without reloading:
+ * - thread_created / thread_updated / thread_deleted frames pushed over the
+ *   shared socket (they reach every tab already)
+ * - ETag polling of the thread list while the socket is down or the server
+ *   doesn't push thread events (protocol v1)
+ * - BroadcastChannel fan-out of changes made or fetched in this tab, so
+ *   the other local tabs don't have to ask again
+ */
+
+import ChatService from './chat.service';
+import sharedWebSocketService, { FRAME_TYPES, CONNECTION_STATUS } from './SharedWebSocketService';
+import { scopedKey } from './userScope';
+
+// Constants
+const CHANNEL_NAME = 'exim-thread-sync';
+const POLL_INTERVAL_MS = 30000; // 30 seconds
+const PUSH_PROTOCOL_VERSION = 2; // First protocol version that pushes thread events
+
+// Changes delivered to subscribers
+export const THREAD_EVENTS = {
+    CREATED: 'created', // { thread }
+    UPDATED: 'updated', // { thread }
+    DELETED: 'deleted', // { threadId }
+    REPLACED: 'replaced' // { threads } - full list from a poll
+};
+
+class ThreadSyncService {
+    constructor() {
+        this.listeners = new Set();
+        this.etag = null;
+        this.pollTimer = null;
+
+        this.channel = new BroadcastChannel(scopedKey(CHANNEL_NAME));
+        this.channel.onmessage = (event) => this._emit(event.data);
+
+        sharedWebSocketService.subscribe(this._handleFrame.bind(this));
+    }
+
+    _handleFrame(threadId, data) {
+        switch (data.type) {
+            case FRAME_TYPES.THREAD_CREATED:
+                if (data.thread) this._emit({ type: THREAD_EVENTS.CREATED, thread: data.thread });
+                break;
+
+            case FRAME_TYPES.THREAD_UPDATED:
+                if (data.thread) this._emit({ type: THREAD_EVENTS.UPDATED, thread: data.thread });
+                break;
+
+            case FRAME_TYPES.THREAD_DELETED: {
+                const deletedId = data.threadId ?? threadId;
+                if (deletedId) this._emit({ type: THREAD_EVENTS.DELETED, threadId: deletedId });
+                break;
+            }
+        }
+    }
+
+    _emit(event) {
+        this.listeners.forEach(callback => {
+            try {
+                callback(event);
+            } catch (err) {
+                console.error('[ThreadSync] Error in listener:', err);
+            }
+        });
+    }
+
+    /**
+     * Poll only when pushes can't be relied on. Hidden tabs skip it: a
+     * visible tab shares whatever it fetches over the channel.
+     */
+    _shouldPoll() {
+        if (document.hidden) return false;
+
+        const { status, protocolVersion } = sharedWebSocketService.getConnectionState();
+        return status !== CONNECTION_STATUS.OPEN || !(protocolVersion >= PUSH_PROTOCOL_VERSION);
+    }
+
+    async _poll() {
+        if (!this._shouldPoll()) return;
+
+        try {
+            const result = await ChatService.getThreadsIfChanged(this.etag);
+            if (result.notModified) return;
+
+            this.etag = result.etag;
+            this.publish({ type: THREAD_EVENTS.REPLACED, threads: result.threads });
+        } catch (err) {
+            // Offline or server asleep - try again next interval
+            console.warn('[ThreadSync] Thread list poll failed:', err.message);
+        }
+    }
+
+    _startPolling() {
+        if (this.pollTimer) return;
+        this.pollTimer = setInterval(() => this._poll(), POLL_INTERVAL_MS);
+    }
+
+    _stopPolling() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+
+    // ========== PUBLIC API ==========
+
+    /**
+     * Announce a change made in this tab to its listeners and to the other tabs
+     * @param {Object} event - THREAD_EVENTS event
+     */
+    publish(event) {
+        this._emit(event);
+        this.channel.postMessage(event);
+    }
+
+    /**
+     * Remember the ETag of a list fetched outside the poll (e.g. on mount),
+     * so the next poll can get a 304 instead of the same list again
+     * @param {string|null} etag - ETag response header
+     */
+    setEtag(etag) {
+        this.etag = etag ?? null;
+    }
+
+    /**
+     * Subscribe to thread list changes. Polling runs while anyone listens.
+     * @param {Function} callback - (event) => void
+     * @returns {Function} - Unsubscribe function
+     */
+    subscribe(callback) {
+        this.listeners.add(callback);
+        this._startPolling();
+
+        return () => {
+            this.listeners.delete(callback);
+            if (this.listeners.size === 0) this._stopPolling();
+        };
+    }
+}
+
+// Export singleton instance
+const threadSyncService = new ThreadSyncService();
+export default threadSyncService;
@@ -20,7 +20,41 @@ const API_CONFIG = {
     endpoints: {
         THREAD: "/api/thread",
         CHAT_WS: "/ws/chat",
-        UPLOAD: "/api/upload"
+        UPLOAD: "/api/upload",
+        AUTH_LOGIN: "/api/auth/login",
+        AUTH_REFRESH: "/api/auth/refresh",
+        AUTH_LOGOUT: "/api/auth/logout",
+        AUTH_SSO_CALLBACK: "/api/auth/sso/callback",
+        AUTH_DATA_KEY: "/api/auth/data-key"
+    },
+    auth: {
+        // Refresh the access token this long before it expires
+        REFRESH_MARGIN_MS: Number(import.meta.env.VITE_AUTH_REFRESH_MARGIN_MS ?? 60000),
+        // Single sign-on entry point (redirect); SSO is offered only when set
+        SSO_URL: import.meta.env.VITE_AUTH_SSO_URL || ''
+    },
+    websocket: {
+        // Keepalive: ping every PING_INTERVAL_MS, reconnect if no pong arrives within PONG_TIMEOUT_MS (0 disables)
+        PING_INTERVAL_MS: Number(import.meta.env.VITE_WS_PING_INTERVAL_MS ?? 25000),
+        PONG_TIMEOUT_MS: Number(import.meta.env.VITE_WS_PONG_TIMEOUT_MS ?? 10000),
+        // Give up waiting for an answer after this long without any frame for it (0 disables)
+        ANSWER_TIMEOUT_MS: Number(import.meta.env.VITE_WS_ANSWER_TIMEOUT_MS ?? 90000),
+        // Where the socket lives: 'auto' (SharedWorker when supported), 'worker' or 'leader' (leader tab election)
+        TRANSPORT: import.meta.env.VITE_WS_TRANSPORT || 'auto',
+        // Preferred frame encoding offered to the server: 'json' or 'msgpack' (binary, for large answers)
+        ENCODING: import.meta.env.VITE_WS_ENCODING || 'json'
+    },
+    responseCache: {
+        // Replies cached for hidden tabs; least recently used entries are evicted above this many bytes
+        BUDGET_BYTES: Number(import.meta.env.VITE_RESPONSE_CACHE_BUDGET_BYTES ?? 5 * 1024 * 1024)
+    },
+    sessions: {
+        // Open tabs are restored silently after a reload; older snapshots ask first
+        RESTORE_PROMPT_AFTER_MS: Number(import.meta.env.VITE_SESSION_RESTORE_PROMPT_AFTER_MS ?? 12 * 60 * 60 * 1000)
+    },
+    storage: {
+        // Encrypt cached replies, the thread mirror and tab snapshots with a key fetched from the server per session (shared machines)
+        ENCRYPT_AT_REST: import.meta.env.VITE_ENCRYPT_LOCAL_DATA === 'true'
     }
 };
 
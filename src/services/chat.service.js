@@ -1,9 +1,11 @@
 import API_CONFIG from './api.config';
+import authService from './AuthService';
 
 /**
  * ChatService
  * Handles all API calls for chat functionality.
  * Enhanced with comprehensive error handling for deployment debugging.
+ * Every request carries the user's bearer token (see AuthService).
  */
 class ChatService {
     /**
@@ -28,12 +30,36 @@ class ChatService {
         return errorInfo;
     }
 
+    /**
+     * fetch() with the bearer token attached. A 401 is retried once with a
+     * refreshed token; if there is none, AuthService asks the user to sign in.
+     * @param {string} url - Request URL
+     * @param {Object} [options] - fetch options
+     * @returns {Promise<Response>}
+     */
+    async _fetch(url, options = {}) {
+        const send = (token) => fetch(url, {
+            ...options,
+            headers: {
+                ...options.headers,
+                ...(token && { Authorization: `Bearer ${token}` })
+            }
+        });
+
+        const response = await send(await authService.getAccessToken());
+        if (response.status !== 401) return response;
+
+        console.warn(`[ChatService._fetch] 401 from ${url} - refreshing token`);
+        const token = await authService.handleUnauthorized();
+        return token ? send(token) : response;
+    }
+
     async getAllThreads() {
         const method = 'getAllThreads';
         try {
             console.log(`[ChatService.${method}] Starting to fetch all threads`);
 
-            const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.endpoints.THREAD}`);
+            const response = await this._fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.endpoints.THREAD}`);
 
             if (!response.ok) {
                 const errorBody = await response.text().catch(() => 'Unable to read error body');
@@ -58,6 +84,43 @@ class ChatService {
         }
     }
 
+    /**
+     * Fetch the thread list only if it changed since the last fetch
+     * @param {string|null} etag - ETag of the list we already have
+     * @returns {Promise<{notModified: boolean, threads?: Array, etag?: string|null}>}
+     */
+    async getThreadsIfChanged(etag) {
+        const method = 'getThreadsIfChanged';
+        try {
+            const response = await this._fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.endpoints.THREAD}`, {
+                headers: etag ? { 'If-None-Match': etag } : {}
+            });
+
+            if (response.status === 304) {
+                return { notModified: true };
+            }
+
+            if (!response.ok) {
+                const errorBody = await response.text().catch(() => 'Unable to read error body');
+                const error = new Error(`HTTP ${response.status}: Failed to fetch threads`);
+                this._logError(method, 'fetch API call', error, {
+                    status: response.status,
+                    statusText: response.statusText,
+                    errorBody,
+                    etag
+                });
+                throw error;
+            }
+
+            const threads = await response.json();
+            console.log(`[ChatService.${method}] Thread list changed - fetched ${threads?.length || 0} threads`);
+            return { notModified: false, threads, etag: response.headers.get('ETag') };
+        } catch (error) {
+            this._logError(method, 'getThreadsIfChanged', error, { etag });
+            throw error;
+        }
+    }
+
     async getThreadMessages(threadId) {
         const method = 'getThreadMessages';
         try {
@@ -69,7 +132,7 @@ class ChatService {
 
             console.log(`[ChatService.${method}] Fetching messages for thread: ${threadId}`);
 
-            const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.endpoints.THREAD}/${threadId}`);
+            const response = await this._fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.endpoints.THREAD}/${threadId}`);
 
             if (!response.ok) {
                 const errorBody = await response.text().catch(() => 'Unable to read error body');
@@ -104,7 +167,7 @@ class ChatService {
 
             console.log(`[ChatService.${method}] Deleting thread: ${threadId}`);
 
-            const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.endpoints.THREAD}/${threadId}`, {
+            const response = await this._fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.endpoints.THREAD}/${threadId}`, {
                 method: "DELETE"
             });
 
@@ -147,7 +210,7 @@ class ChatService {
             const formData = new FormData();
             formData.append('file', file);
 
-            const response = await fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.endpoints.UPLOAD}`, {
+            const response = await this._fetch(`${API_CONFIG.BASE_URL}${API_CONFIG.endpoints.UPLOAD}`, {
                 method: "POST",
                 body: formData
             });
@@ -0,0 +1,81 @@
+/**
+ * Frame codec
+ *
+ * The only place socket frames are turned into bytes and back. The server may
+ * answer in JSON text frames or, once both sides agreed on it in the hello
+ * handshake, in binary MessagePack frames. Everything past the socket (tabs,
+ * BroadcastChannel, subscribers) only ever sees plain objects.
+ *
+ * Imported by the SharedWorker as well, so it must stay free of DOM APIs.
+ */
+
+import { encode, decode } from '@msgpack/msgpack';
+
+// Wire encodings the client understands
+export const FRAME_ENCODINGS = {
+    JSON: 'json', // Text frames
+    MSGPACK: 'msgpack' // Binary frames
+};
+
+// Compression extension negotiated by the browser (see WebSocket.extensions)
+const PERMESSAGE_DEFLATE = 'permessage-deflate';
+
+/**
+ * Encodings to offer in the hello, most preferred first. JSON is always
+ * accepted so an older server can simply ignore the offer.
+ * @param {string} preferred - Configured encoding (API_CONFIG.websocket.ENCODING)
+ * @returns {Array<string>}
+ */
+export const getOfferedEncodings = (preferred) => (
+    preferred === FRAME_ENCODINGS.MSGPACK
+        ? [FRAME_ENCODINGS.MSGPACK, FRAME_ENCODINGS.JSON]
+        : [FRAME_ENCODINGS.JSON]
+);
+
+/**
+ * Pick the encoding the server chose, falling back to JSON for anything we
+ * didn't offer (or a server that doesn't negotiate at all).
+ * @param {string} chosen - `encoding` from the server's hello
+ * @param {Array<string>} offered - What we offered
+ * @returns {string}
+ */
+export const resolveEncoding = (chosen, offered) => (
+    offered.includes(chosen) ? chosen : FRAME_ENCODINGS.JSON
+);
+
+/**
+ * Compression the browser negotiated for the socket. Browsers compress and
+ * decompress transparently; this is only reported (status, logs, hello).
+ * @param {WebSocket} socket - Open socket
+ * @returns {string|null} - 'permessage-deflate' or null
+ */
+export const getCompression = (socket) => (
+    socket?.extensions?.includes(PERMESSAGE_DEFLATE) ? PERMESSAGE_DEFLATE : null
+);
+
+/**
+ * Decode a raw frame from the socket. Text frames are JSON, binary frames
+ * MessagePack, regardless of what was negotiated (a server may switch for
+ * large payloads only).
+ * @param {string|ArrayBuffer|Uint8Array} raw - event.data (binaryType 'arraybuffer')
+ * @returns {*} - Decoded value
+ */
+export const decodeFrame = (raw) => {
+    if (typeof raw === 'string') return JSON.parse(raw);
+    if (raw instanceof ArrayBuffer || ArrayBuffer.isView(raw)) return decode(raw);
+    throw new Error(`Unsupported frame data: ${Object.prototype.toString.call(raw)}`);
+};
+
+/**
+ * Encode an outgoing frame.
+ * @param {Object|string} frame - Frame object, or a JSON string (outbox entries are stored serialised)
+ * @param {string} encoding - FRAME_ENCODINGS value
+ * @returns {string|Uint8Array} - What to pass to socket.send()
+ */
+export const encodeFrame = (frame, encoding) => {
+    if (encoding === FRAME_ENCODINGS.MSGPACK) {
+        return encode(typeof frame === 'string' ? JSON.parse(frame) : frame);
+    }
+    return typeof frame === 'string' ? frame : JSON.stringify(frame);
+};
+
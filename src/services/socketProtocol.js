@@ -0,0 +1,127 @@
+/**
+ * Frame and state constants shared by the chat socket, the tabs and the
+ * SharedWorker. Kept free of browser-window dependencies so the worker can
+ * import it.
+ *
+ * Envelope (protocol v2): every server frame is a flat JSON object with a
+ * `type`, plus `threadId` / `clientMessageId` / `seq` when it belongs to a
+ * thread. Frames without a threadId are connection level. Version 1 servers
+ * send untyped `{ threadId, reply }` frames, which normalizeFrame upgrades.
+ */
+
+// Protocol spoken by this client, announced in the hello frame
+export const PROTOCOL_VERSION = 2;
+
+// Frame types used by the server to stream a single answer token by token
+export const STREAM_FRAME_TYPES = {
+    START: 'start',
+    DELTA: 'delta',
+    END: 'end'
+};
+
+// Every server frame type this client understands. Unknown types are
+// ignored so newer servers don't break tabs that are still open.
+export const FRAME_TYPES = {
+    HELLO: 'hello', // Handshake, both directions: { type, v } (client adds token, encodings)
+    REPLY: 'reply', // Complete answer in one frame: { reply }
+    START: STREAM_FRAME_TYPES.START,
+    DELTA: STREAM_FRAME_TYPES.DELTA, // { delta }
+    END: STREAM_FRAME_TYPES.END, // { reply?, stopped? }
+    ERROR: 'error', // { code?, message } - request failed (no threadId: connection level)
+    STATUS: 'status', // { message } - what the assistant is doing right now
+    TITLE_UPDATE: 'title_update', // { title } - server renamed the thread
+    // { tool, label?, state, callId?, step?, totalSteps? } - a tool call started or finished
+    // (e.g. "Querying carrier rates", step 2 of 3); callId tells repeated calls apart
+    TOOL_PROGRESS: 'tool_progress',
+    // Thread list changes made anywhere on the account (other tabs, devices, shared logins)
+    THREAD_CREATED: 'thread_created', // { thread }
+    THREAD_UPDATED: 'thread_updated', // { thread } - changed fields, keyed by thread.threadId
+    THREAD_DELETED: 'thread_deleted' // { threadId }
+};
+
+// `state` of a tool_progress frame
+export const TOOL_PROGRESS_STATES = {
+    STARTED: 'started',
+    FINISHED: 'finished',
+    FAILED: 'failed'
+};
+
+// Frame types that complete a request
+export const FINAL_FRAME_TYPES = new Set([FRAME_TYPES.REPLY, FRAME_TYPES.END, FRAME_TYPES.ERROR]);
+
+/**
+ * Bring a parsed server frame to the current envelope: untyped v1 frames
+ * become reply (or error) frames, and every frame gets its version `v`.
+ * @param {*} data - Parsed JSON
+ * @returns {Object|null} - Normalised frame, or null if it isn't an object
+ */
+export const normalizeFrame = (data) => {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+    // Frames without `v` predate versioning
+    if (data.type) return { ...data, v: data.v ?? 1 };
+
+    if (data.error !== undefined) {
+        return { ...data, type: FRAME_TYPES.ERROR, message: data.message ?? String(data.error), v: 1 };
+    }
+    return { ...data, type: FRAME_TYPES.REPLY, v: 1 };
+};
+
+// Frame types sent by the client to control an in-flight answer
+export const CONTROL_FRAME_TYPES = {
+    CANCEL: 'cancel',
+    // Connection level: { type, cursors: { [threadId]: lastSeq } } asks the
+    // server to replay every frame after each thread's last seen seq
+    RESUME: 'resume',
+    // Connection level: { type, token } hands a refreshed access token to the
+    // open socket (the first token goes in the hello)
+    AUTH: 'auth'
+};
+
+// Close codes the server uses when the socket's token is missing, invalid or
+// expired. The socket then waits for a new token instead of retrying.
+export const AUTH_CLOSE_CODES = new Set([4001, 4003]);
+
+// Lifecycle of the shared socket as reported to the UI
+export const CONNECTION_STATUS = {
+    IDLE: 'idle', // No thread needs the socket
+    CONNECTING: 'connecting',
+    OPEN: 'open',
+    RECONNECTING: 'reconnecting', // Waiting for the next retry
+    OFFLINE: 'offline', // Browser reports no network - retries resume when it comes back
+    UNAUTHORIZED: 'unauthorized' // Server rejected the token - reconnects once a new one is set
+};
+
+// Keepalive frames (connection level, no threadId)
+export const KEEPALIVE_FRAME_TYPES = {
+    PING: 'ping',
+    PONG: 'pong'
+};
+
+// Events emitted locally (not by the server) as messages move through the outbox
+export const OUTBOX_EVENT_TYPES = {
+    QUEUED: 'outbox_queued',
+    FLUSHED: 'outbox_flushed',
+    FAILED: 'outbox_failed' // The message could not be stored, so it will never be sent
+};
+
+// Events emitted locally when a request is handed to a new socket owner
+export const REQUEST_EVENT_TYPES = {
+    RESUBMITTED: 'request_resubmitted'
+};
+
+// Messages between tabs, or between a tab and the SharedWorker
+export const TRANSPORT_MESSAGE_TYPES = {
+    LEADER_ELECTED: 'LEADER_ELECTED',
+    REGISTER_THREAD: 'REGISTER_THREAD',
+    UNREGISTER_THREAD: 'UNREGISTER_THREAD',
+    SEND_MESSAGE: 'SEND_MESSAGE',
+    MESSAGE_RECEIVED: 'MESSAGE_RECEIVED',
+    CONNECTION_STATE: 'CONNECTION_STATE',
+    CONNECTION_STATE_REQUEST: 'CONNECTION_STATE_REQUEST',
+    RETRY_NOW: 'RETRY_NOW',
+    REGISTRY_SYNC: 'REGISTRY_SYNC',
+    CONFIGURE_KEEPALIVE: 'CONFIGURE_KEEPALIVE',
+    SET_AUTH_TOKEN: 'SET_AUTH_TOKEN',
+    RESET: 'RESET', // Sign-out: forget threads, cursors, queued messages and the token
+    DETACH: 'DETACH'
+};
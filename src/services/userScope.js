@@ -0,0 +1,56 @@
+/**
+ * User scope
+ *
+ * Per-user namespacing for localStorage keys, lock names and channel names,
+ * so two accounts used in the same browser never share caches, preferences
+ * or a socket.
+ *
+ * The scope is pinned to the first signed-in user seen by this page and stays
+ * the same while the session is being renewed; signing out or switching
+ * accounts reloads the page (see AuthContext), which starts a fresh scope.
+ */
+
+import authService from './AuthService';
+
+const ANONYMOUS_SCOPE = 'anonymous';
+
+let pinnedScope = null;
+
+/**
+ * Scope identifier of a user
+ * @param {Object|null} user - { id?, email? }
+ * @returns {string|null}
+ */
+export const scopeOf = (user) => {
+    const id = user?.id ?? user?.email;
+    return id ? String(id) : null;
+};
+
+/**
+ * Scope of the signed-in user ('anonymous' before anyone signs in)
+ * @returns {string}
+ */
+export const getUserScope = () => {
+    if (pinnedScope) return pinnedScope;
+
+    const scope = scopeOf(authService.getState().user);
+    if (!scope) return ANONYMOUS_SCOPE;
+
+    pinnedScope = scope;
+    return pinnedScope;
+};
+
+/**
+ * Whether a user belongs to the scope this page was opened with (false
+ * means the page must reload before showing their data)
+ * @param {Object|null} user - { id?, email? }
+ * @returns {boolean}
+ */
+export const isCurrentScope = (user) => !pinnedScope || scopeOf(user) === pinnedScope;
+
+/**
+ * Namespace a storage key, lock or channel name for the current user
+ * @param {string} key - Base name
+ * @returns {string} - e.g. 'theme:user-42'
+ */
+export const scopedKey = (key) => `${key}:${getUserScope()}`;
@@ -0,0 +1,120 @@
+/**
+ * Shared socket worker
+ *
+ * Hosts the single multiplexed chat WebSocket for every tab of the app.
+ * Each tab talks to it over its own MessagePort; frames and connection state
+ * are fanned out to all ports. Workers are not throttled like background
+ * tabs, so the socket stays healthy no matter which tab is visible.
+ */
+
+import MultiplexedSocket from '../services/MultiplexedSocket';
+import { TRANSPORT_MESSAGE_TYPES } from '../services/socketProtocol';
+
+const ports = new Set();
+const threadPorts = new Map(); // threadId -> Set of ports that registered it
+
+const broadcast = (message) => {
+    ports.forEach(port => port.postMessage(message));
+};
+
+const connection = new MultiplexedSocket({
+    logPrefix: '[SharedWS:worker]',
+    onMessage: (threadId, message) => {
+        broadcast({ type: TRANSPORT_MESSAGE_TYPES.MESSAGE_RECEIVED, threadId, message });
+    },
+    onStateChange: (state) => {
+        broadcast({ type: TRANSPORT_MESSAGE_TYPES.CONNECTION_STATE, state });
+    }
+});
+
+/**
+ * Track which tabs need a thread; the socket only lets go of a thread
+ * once no tab has it open
+ */
+const registerThread = (port, threadId) => {
+    if (!threadPorts.has(threadId)) {
+        threadPorts.set(threadId, new Set());
+    }
+    threadPorts.get(threadId).add(port);
+    connection.registerThread(threadId);
+};
+
+const unregisterThread = (port, threadId) => {
+    const owners = threadPorts.get(threadId);
+    if (!owners) return;
+
+    owners.delete(port);
+    if (owners.size === 0) {
+        threadPorts.delete(threadId);
+        connection.unregisterThread(threadId);
+    }
+};
+
+/**
+ * A tab is closing. There is no close event for ports, so tabs announce it
+ * themselves; a tab that crashes keeps its threads registered until reload.
+ */
+const detachPort = (port) => {
+    ports.delete(port);
+    [...threadPorts.keys()].forEach(threadId => unregisterThread(port, threadId));
+    port.close();
+    console.log(`[SharedWS:worker] Tab detached (${ports.size} remaining)`);
+};
+
+const handlePortMessage = (port, data) => {
+    const { type, threadId, message } = data;
+
+    switch (type) {
+        case TRANSPORT_MESSAGE_TYPES.REGISTER_THREAD:
+            registerThread(port, threadId);
+            break;
+
+        case TRANSPORT_MESSAGE_TYPES.UNREGISTER_THREAD:
+            unregisterThread(port, threadId);
+            break;
+
+        case TRANSPORT_MESSAGE_TYPES.SEND_MESSAGE:
+            connection.send(threadId, message);
+            break;
+
+        case TRANSPORT_MESSAGE_TYPES.CONNECTION_STATE_REQUEST:
+            port.postMessage({ type: TRANSPORT_MESSAGE_TYPES.CONNECTION_STATE, state: connection.getState() });
+            break;
+
+        case TRANSPORT_MESSAGE_TYPES.RETRY_NOW:
+            connection.retryNow();
+            break;
+
+        case TRANSPORT_MESSAGE_TYPES.CONFIGURE_KEEPALIVE:
+            connection.configureKeepalive(data.keepalive);
+            break;
+
+        // Tabs share one login, so the latest token from any tab is the one to use.
+        // Its user scope picks the outbox entries this worker may send (kept when the token expires).
+        case TRANSPORT_MESSAGE_TYPES.SET_AUTH_TOKEN:
+            connection.setScope(data.scope ?? null);
+            connection.setAuthToken(data.token);
+            break;
+
+        case TRANSPORT_MESSAGE_TYPES.RESET:
+            threadPorts.clear();
+            connection.reset();
+            break;
+
+        case TRANSPORT_MESSAGE_TYPES.DETACH:
+            detachPort(port);
+            break;
+    }
+};
+
+self.onconnect = (event) => {
+    const port = event.ports[0];
+    ports.add(port);
+    port.onmessage = (e) => handlePortMessage(port, e.data);
+
+    port.postMessage({ type: TRANSPORT_MESSAGE_TYPES.CONNECTION_STATE, state: connection.getState() });
+    console.log(`[SharedWS:worker] Tab attached (${ports.size} connected)`);
+};
+
+// Messages left in the outbox (e.g. from before a reload) need the socket too
+connection.resume();